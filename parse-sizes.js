@@ -23,9 +23,46 @@
  * Returns the first valid <css-length> with a media condition that evaluates to true,
  * or "100vw" if all valid media conditions evaluate to false.
  *
+ * Media conditions go to window.matchMedia, one media feature at a time, unless an
+ * options object says otherwise:
+ * parseSizes(strValue, { matchMedia: function(feature) {} }) to stand in for it, or
+ * parseSizes(strValue, { evaluate: function(conditionTree, sourceSize) {} }) to
+ * decide from the parse tree. Either lets it run where there is no window, as does
+ * parseSizes(strValue, { environment: { width, height, ... } }), which has the built-in
+ * evaluator decide against a description of the viewport and device. Conditions are
+ * true, false or unknown (null), as in Media Queries Level 4; unknown doesn't match.
+ *
+ * A sizes that starts with "auto" is the image's layout width, for a lazy loaded
+ * image, when parseSizes(strValue, { layoutWidth: function() {} }) can say what
+ * that is; otherwise auto is skipped as the spec says. Sizes may use the units of
+ * CSS Values Level 4, or only those of Level 3 with { valuesLevel: 3 }.
+ *
+ * parseSizes.detailed(strValue) runs the same algorithm but returns an object:
+ * { size, index, condition, fallback, auto, skipped: [ { index, entry, reason } ] }
+ *
+ * parseSizes.parse(strValue) returns every <source-size> with its media condition
+ * parse tree and its <source-size-value>, without evaluating anything.
+ * parseSizes.stringify(sourceSizes) writes such a list back out in canonical form.
+ * parseSizes.tokenize(str) returns the CSS Syntax Level 3 tokens of a string.
+ *
+ * parseSizes.defineCustomMedia(name, condition) and parseSizes.loadCustomMedia(cssText)
+ * register @custom-media for "(--name)" to stand for in sizes, as does an options
+ * object's customMedia: { "--name": condition }.
+ *
+ * parseSizes.breakpoints(strValue) lists the viewport breakpoints its media
+ * conditions depend on: [ { feature: "width", op: ">=", value: "40em", px: 640 } ].
+ * parseSizes.analyze(strValue) finds the entries that are unreachable, always false
+ * or shadowed by earlier ones: [ { index, entry, type, reason } ].
+ * parseSizes.intervals(strValue) maps it to ranges of viewport widths and the size
+ * that applies in each: { intervals: [ { from, to, size, index, ... } ], inexpressible }.
+ * parseSizes.regions(strValue) does the same for regions of viewport widths and heights.
+ *
+ * parseSizes.toPixels(sizeValue, environment) works out a size such as parseSizes()
+ * returns, a length or a math function, in CSS pixels.
+ *
  */
 
-function parseSizes(strValue) {
+(function(window) {
 
 	// (Percentage CSS lengths are not allowed in this case, to avoid confusion:
 	// https://html.spec.whatwg.org/multipage/embedded-content.html#valid-source-size-list
@@ -35,12 +72,241 @@ function parseSizes(strValue) {
 	// http://www.w3.org/TR/CSS2/syndata.html#characters )
 	// Spec allows exponential notation for <number> type:
 	// http://dev.w3.org/csswg/css-values/#numbers
-	var regexCssLengthWithUnits = /^(?:[+-]?[0-9]+|[0-9]*\.[0-9]+)(?:[eE][+-]?[0-9]+)?(?:ch|cm|em|ex|in|mm|pc|pt|px|rem|vh|vmin|vmax|vw)$/i,
+	// (The unit is checked against lengthUnits.)
+	var regexCssLengthWithUnits = /^(?:[+-]?[0-9]+|[0-9]*\.[0-9]+)(?:[eE][+-]?[0-9]+)?([a-z]+)$/i,
+
+	// (The length units, with the level of CSS Values and Units that has them, which
+	// options.valuesLevel can hold sizes to. The container query units are from CSS
+	// Containment Level 3, and count as Level 4.)
+	// https://drafts.csswg.org/css-values-3/#lengths
+	// https://drafts.csswg.org/css-values-4/#lengths
+	// https://drafts.csswg.org/css-contain-3/#container-lengths
+	    lengthUnits = {
+		em: 3, ex: 3, ch: 3, rem: 3,
+		vw: 3, vh: 3, vmin: 3, vmax: 3,
+		cm: 3, mm: 3, q: 3, "in": 3, pt: 3, pc: 3, px: 3,
+		cap: 4, ic: 4, lh: 4, rcap: 4, rch: 4, rex: 4, ric: 4, rlh: 4,
+		vi: 4, vb: 4,
+		svw: 4, svh: 4, svi: 4, svb: 4, svmin: 4, svmax: 4,
+		lvw: 4, lvh: 4, lvi: 4, lvb: 4, lvmin: 4, lvmax: 4,
+		dvw: 4, dvh: 4, dvi: 4, dvb: 4, dvmin: 4, dvmax: 4,
+		cqw: 4, cqh: 4, cqi: 4, cqb: 4, cqmin: 4, cqmax: 4
+	    },
+
+	// (The math functions a size may be, with the least and most arguments each takes,
+	// and whether they all have to be numbers. round() may also have a rounding
+	// strategy before its arguments. sin(), cos() and tan() are here for numbers only,
+	// since sizes have no angles.)
+	// https://drafts.csswg.org/css-values-4/#math
+	    mathFunctions = {
+		calc: { least: 1, most: 1 },
+		min: { least: 1, most: Infinity },
+		max: { least: 1, most: Infinity },
+		clamp: { least: 3, most: 3 },
+		round: { least: 1, most: 2 },
+		mod: { least: 2, most: 2 },
+		rem: { least: 2, most: 2 },
+		abs: { least: 1, most: 1 },
+		sign: { least: 1, most: 1 },
+		hypot: { least: 1, most: Infinity },
+		pow: { least: 2, most: 2, numbers: true },
+		sqrt: { least: 1, most: 1, numbers: true },
+		log: { least: 1, most: 2, numbers: true },
+		exp: { least: 1, most: 1, numbers: true },
+		sin: { least: 1, most: 1, numbers: true },
+		cos: { least: 1, most: 1, numbers: true },
+		tan: { least: 1, most: 1, numbers: true }
+	    },
+
+	// (The math functions that give an angle, which no size can use.)
+	    regexAngleMathFunctions = /^(asin|acos|atan|atan2)$/,
+
+	// <rounding-strategy> = nearest | up | down | to-zero
+	    regexRoundingStrategy = /^(nearest|up|down|to-zero)$/i,
+
+	// (A sizes attribute that allows auto-sizes is "auto" or starts with "auto,".)
+	// https://html.spec.whatwg.org/multipage/images.html#allows-auto-sizes
+	    regexAutoSizes = /^auto(,|$)/i,
+
+	// (The values of the <calc-keyword>s, which are all numbers.)
+	// https://drafts.csswg.org/css-values-4/#calc-constants
+	    calcKeywords = {
+		e: Math.E,
+		pi: Math.PI,
+		infinity: Infinity,
+		"-infinity": -Infinity,
+		nan: NaN
+	    },
+
+	// (Token pairs that would run together when written next to each other, so
+	// serialize() puts an empty comment between them. Delims are listed by value.)
+	// https://drafts.csswg.org/css-syntax-3/#serialization
+	    serializationPairs = {
+		"ident": " ident function url bad-url - number percentage dimension cdc ( ",
+		"at-keyword": " ident function url bad-url - number percentage dimension cdc ",
+		"hash": " ident function url bad-url - number percentage dimension cdc ",
+		"dimension": " ident function url bad-url - number percentage dimension cdc ",
+		"#": " ident function url bad-url - number percentage dimension ",
+		"-": " ident function url bad-url - number percentage dimension ",
+		"number": " ident function url bad-url number percentage dimension % ",
+		"@": " ident function url bad-url - ",
+		".": " number percentage dimension ",
+		"+": " number percentage dimension ",
+		"/": " * "
+	    },
+
+	// (The catalog of media features: any other name is an unknown feature, and a
+	// value that doesn't fit is invalid, both of which evaluate to unknown. Range
+	// features take min- and max- prefixes and compare numbers; discrete features
+	// take one of a list of keywords. Ordered keywords go from least to most, and a
+	// device matches the ones up to its own, as a p3 screen matches srgb. Each one
+	// reads the property of the environment named after it in camelCase, e.g.
+	// prefersColorScheme for prefers-color-scheme.)
+	// https://drafts.csswg.org/mediaqueries-4/#media-descriptor-table
+	// https://drafts.csswg.org/mediaqueries-5/#media-descriptor-table
+	    mediaFeatures = {
+		"width": { type: "range", valueType: "length" },
+		"height": { type: "range", valueType: "length" },
+		"device-width": { type: "range", valueType: "length" },
+		"device-height": { type: "range", valueType: "length" },
+		"aspect-ratio": { type: "range", valueType: "ratio" },
+		"device-aspect-ratio": { type: "range", valueType: "ratio" },
+		"resolution": { type: "range", valueType: "resolution" },
+		"color": { type: "range", valueType: "integer" },
+		"color-index": { type: "range", valueType: "integer" },
+		"monochrome": { type: "range", valueType: "integer" },
+		"color-gamut": { type: "discrete", values: [ "srgb", "p3", "rec2020" ], ordered: true },
+		"dynamic-range": { type: "discrete", values: [ "standard", "high" ], ordered: true },
+		"video-dynamic-range": {
+			type: "discrete",
+			values: [ "standard", "high" ],
+			ordered: true
+		},
+		"grid": { type: "discrete", valueType: "mq-boolean" },
+		"orientation": { type: "discrete", values: [ "portrait", "landscape" ] },
+		"scan": { type: "discrete", values: [ "interlace", "progressive" ] },
+		"update": { type: "discrete", values: [ "none", "slow", "fast" ] },
+		"hover": { type: "discrete", values: [ "none", "hover" ] },
+		"any-hover": { type: "discrete", values: [ "none", "hover" ] },
+		"pointer": { type: "discrete", values: [ "none", "coarse", "fine" ] },
+		"any-pointer": { type: "discrete", values: [ "none", "coarse", "fine" ] },
+		"scripting": { type: "discrete", values: [ "none", "initial-only", "enabled" ] },
+		"environment-blending": {
+			type: "discrete",
+			values: [ "opaque", "additive", "subtractive" ]
+		},
+		"nav-controls": { type: "discrete", values: [ "none", "back" ] },
+		"horizontal-viewport-segments": { type: "range", valueType: "integer" },
+		"vertical-viewport-segments": { type: "range", valueType: "integer" },
+		"device-posture": { type: "discrete", values: [ "continuous", "folded" ] },
+		"prefers-color-scheme": { type: "discrete", values: [ "light", "dark" ] },
+		"prefers-reduced-motion": { type: "discrete", values: [ "no-preference", "reduce" ] },
+		"prefers-reduced-transparency": { type: "discrete", values: [ "no-preference", "reduce" ] },
+		"prefers-reduced-data": { type: "discrete", values: [ "no-preference", "reduce" ] },
+		"prefers-contrast": {
+			type: "discrete",
+			values: [ "no-preference", "less", "more", "custom" ]
+		},
+		"forced-colors": { type: "discrete", values: [ "none", "active" ] },
+		"inverted-colors": { type: "discrete", values: [ "none", "inverted" ] },
+		"overflow-block": { type: "discrete", values: [ "none", "scroll", "paged" ] },
+		"overflow-inline": { type: "discrete", values: [ "none", "scroll" ] },
+		"display-mode": {
+			type: "discrete",
+			values: [ "browser", "fullscreen", "standalone", "minimal-ui", "picture-in-picture" ]
+		}
+	    },
 
-	// (This is a quick and lenient test. Because of optional unlimited-depth internal
-	// grouping parens and strict spacing rules, this could get very complicated.)
-	    regexCssCalc = /^calc\((?:[0-9a-z \.\+\-\*\/\(\)]+)\)$/i,
-	    i, unparsedSizesList, unparsedSizesListLength, unparsedSize, lastComponentValue, size;
+	// (What each value type expects, for messages about invalid values.)
+	    valueTypeDescriptions = {
+		length: "a non-negative length",
+		ratio: "a ratio",
+		resolution: "a non-negative resolution",
+		integer: "a non-negative integer",
+		"mq-boolean": "0 or 1"
+	    },
+
+	// (What the built-in evaluator assumes about anything the environment leaves
+	// out: a desktop screen with a mouse, and the usual default font size, which em
+	// and rem are relative to, with the fallbacks CSS gives for font metrics and a
+	// typical normal line height. device-width, device-height, any-hover,
+	// any-pointer, orientation, the img's fontSize, the small and large viewport and
+	// the container, which is the small viewport if there is none, follow from the
+	// other values.)
+	    defaultEnvironment = {
+		width: 1024,
+		height: 768,
+		rootFontSize: 16,
+		xHeight: 0.5,
+		chWidth: 0.5,
+		capHeight: 0.7,
+		icWidth: 1,
+		lineHeight: 1.2,
+		writingMode: "horizontal-tb",
+		resolution: 1,
+		color: 8,
+		colorIndex: 0,
+		monochrome: 0,
+		colorGamut: "srgb",
+		dynamicRange: "standard",
+		videoDynamicRange: "standard",
+		scripting: "enabled",
+		environmentBlending: "opaque",
+		navControls: "back",
+		horizontalViewportSegments: 1,
+		verticalViewportSegments: 1,
+		devicePosture: "continuous",
+		grid: 0,
+		scan: "progressive",
+		update: "fast",
+		hover: "hover",
+		pointer: "fine",
+		prefersColorScheme: "light",
+		prefersReducedMotion: "no-preference",
+		prefersReducedTransparency: "no-preference",
+		prefersReducedData: "no-preference",
+		prefersContrast: "no-preference",
+		forcedColors: "none",
+		invertedColors: "none",
+		overflowBlock: "scroll",
+		overflowInline: "scroll",
+		displayMode: "browser"
+	    },
+
+	// (CSS pixels per unit, for the units that don't depend on the environment.)
+	// https://drafts.csswg.org/css-values-4/#absolute-lengths
+	    absoluteLengthUnits = {
+		px: 1,
+		cm: 96 / 2.54,
+		mm: 96 / 25.4,
+		q: 96 / 101.6,
+		"in": 96,
+		pc: 16,
+		pt: 96 / 72
+	    },
+
+	// (Dots per CSS pixel, per unit.)
+	    resolutionUnits = { dppx: 1, x: 1, dpi: 1 / 96, dpcm: 2.54 / 96 },
+
+	// (Units relative to the viewport, which a media feature can't be analyzed with,
+	// since its value moves with the viewport it is compared to.)
+	// (The small, large and dynamic viewport units and the container query units,
+	// which have no container to go by in a media query, count as well.)
+	    viewportLengthUnits = {
+		vw: true, vh: true, vi: true, vb: true, vmin: true, vmax: true,
+		svw: true, svh: true, svi: true, svb: true, svmin: true, svmax: true,
+		lvw: true, lvh: true, lvi: true, lvb: true, lvmin: true, lvmax: true,
+		dvw: true, dvh: true, dvi: true, dvb: true, dvmin: true, dvmax: true,
+		cqw: true, cqh: true, cqi: true, cqb: true, cqmin: true, cqmax: true
+	    },
+
+	// (The results a media condition may have, as bits of a mask, for analysis.)
+	    resultTrue = 1,
+	    resultFalse = 2,
+	    resultUnknown = 4,
+
+	// (Custom media registered with defineCustomMedia() or loadCustomMedia(), by name.)
+	    customMediaDefinitions = {};
 
 	// UTILITY FUNCTIONS
 
@@ -54,90 +320,493 @@ function parseSizes(strValue) {
 		        c === "\u000D");  // carriage return
 	}
 
-	//  (Toy CSS parser. The goals here are:
-	//  1) expansive test coverage without the weight of a full CSS parser.
-	//  2) Avoiding regex wherever convenient.
-	//  Quick tests: http://jsfiddle.net/gtntL4gr/3/
-	//  Returns an array of arrays.)
-	function parseComponentValues(str) {
-		var chrctr,
-		    component = "",
-		    componentArray = [],
-		    listArray = [],
-		    parenDepth = 0,
+	function isDigit(c) {
+		return c >= "0" && c <= "9";
+	}
+
+	function isHexDigit(c) {
+		return isDigit(c) || (c >= "a" && c <= "f") || (c >= "A" && c <= "F");
+	}
+
+	function isNewline(c) {
+		return c === "\u000A" || c === "\u000C" || c === "\u000D";
+	}
+
+	// (NULL is included because the spec's preprocessing replaces it with U+FFFD.)
+	function isNameStartCodePoint(c) {
+		return (c >= "a" && c <= "z") || (c >= "A" && c <= "Z") || c === "_" ||
+		       c >= "\u0080" || c === "\u0000";
+	}
+
+	function isNameCodePoint(c) {
+		return isNameStartCodePoint(c) || isDigit(c) || c === "-";
+	}
+
+	// https://drafts.csswg.org/css-syntax-3/#starts-with-a-valid-escape
+	function isValidEscape(c1, c2) {
+		return c1 === "\\" && !isNewline(c2);
+	}
+
+	// https://drafts.csswg.org/css-syntax-3/#would-start-an-identifier
+	function wouldStartIdentifier(c1, c2, c3) {
+		if (c1 === "-") {
+			return isNameStartCodePoint(c2) || c2 === "-" || isValidEscape(c2, c3);
+		}
+		return isNameStartCodePoint(c1) || isValidEscape(c1, c2);
+	}
+
+	// https://drafts.csswg.org/css-syntax-3/#starts-with-a-number
+	function wouldStartNumber(c1, c2, c3) {
+		if (c1 === "+" || c1 === "-") {
+			return isDigit(c2) || (c2 === "." && isDigit(c3));
+		}
+		if (c1 === ".") {
+			return isDigit(c2);
+		}
+		return isDigit(c1);
+	}
+
+	// (CSS Syntax Level 3 tokenizer:
+	// https://drafts.csswg.org/css-syntax-3/#tokenization
+	// Returns an array of tokens shaped like { type, value, repr, start, end }, where
+	// repr is the source text of the token and start/end are offsets into str.
+	// Types are ident, function, at-keyword, hash, string, bad-string, url, bad-url,
+	// delim, number, percentage, dimension, whitespace, cdo, cdc, colon, semicolon,
+	// comma, and the brackets "(", ")", "[", "]", "{" and "}". Numeric tokens also
+	// carry numberType ("integer" or "number"), and dimensions carry their unit.
+	// Comments produce no token. The preprocessing step is folded into the
+	// consume functions so that offsets stay true to the original string.)
+	function tokenize(str) {
+		var c, start, token,
+		    tokens = [],
 		    pos = 0,
-		    inComment = false;
+		    punctuation = {
+			"(": "(", ")": ")", "[": "[", "]": "]", "{": "{", "}": "}",
+			",": "comma", ":": "colon", ";": "semicolon"
+		    };
+
+		function next(n) {
+			return str.charAt(pos + (n || 0));
+		}
+
+		// (Consumes one newline, treating CR LF as a single one.)
+		function consumeNewline() {
+			pos += (next() === "\u000D" && next(1) === "\u000A") ? 2 : 1;
+		}
+
+		// https://drafts.csswg.org/css-syntax-3/#consume-escaped-code-point
+		// (Called with pos just after the backslash.)
+		function consumeEscape() {
+			var hex = "",
+			    codePoint,
+			    chr = next();
+
+			if (chr === "") {
+				return "\uFFFD";
+			}
+			if (!isHexDigit(chr)) {
+				pos += 1;
+				return chr === "\u0000" ? "\uFFFD" : chr;
+			}
+			while (hex.length < 6 && isHexDigit(next())) {
+				hex += next();
+				pos += 1;
+			}
+			if (isSpace(next())) {
+				consumeNewline();
+			}
+			codePoint = parseInt(hex, 16);
+			if (codePoint === 0 || (codePoint >= 0xD800 && codePoint <= 0xDFFF) ||
+			    codePoint > 0x10FFFF) {
+				return "\uFFFD";
+			}
+			if (codePoint > 0xFFFF) {
+				codePoint -= 0x10000;
+				return String.fromCharCode(0xD800 + (codePoint >> 10),
+				                           0xDC00 + (codePoint & 0x3FF));
+			}
+			return String.fromCharCode(codePoint);
+		}
+
+		// https://drafts.csswg.org/css-syntax-3/#consume-name
+		function consumeName() {
+			var chr,
+			    name = "";
 
-		function pushComponent() {
-			if (component) {
-				componentArray.push(component);
-				component = "";
+			while (true) {
+				chr = next();
+				if (isNameCodePoint(chr)) {
+					name += chr === "\u0000" ? "\uFFFD" : chr;
+					pos += 1;
+				} else if (isValidEscape(chr, next(1))) {
+					pos += 1;
+					name += consumeEscape();
+				} else {
+					return name;
+				}
 			}
 		}
 
-		function pushComponentArray() {
-			if (componentArray[ 0 ]) {
-				listArray.push(componentArray);
-				componentArray = [];
+		function consumeDigits() {
+			while (isDigit(next())) {
+				pos += 1;
 			}
 		}
 
-		// (Loop forwards from the beginning of the string.)
-		while (true) {
-			chrctr = str.charAt(pos);
+		// https://drafts.csswg.org/css-syntax-3/#consume-number
+		// https://drafts.csswg.org/css-syntax-3/#consume-numeric-token
+		function consumeNumeric() {
+			var repr,
+			    numberStart = pos,
+			    numberType = "integer";
 
-		if (chrctr === "") { // ( End of string reached.)
-			pushComponent();
-			pushComponentArray();
-			return listArray;
-		} else if (inComment) {
-			if ( (chrctr === "*") && (str.charAt(pos + 1) === "/") ) { // (At end of a comment.)
-				inComment = false;
+			if (next() === "+" || next() === "-") {
+				pos += 1;
+			}
+			consumeDigits();
+			if (next() === "." && isDigit(next(1))) {
+				pos += 1;
+				consumeDigits();
+				numberType = "number";
+			}
+			if ((next() === "e" || next() === "E") &&
+			    (isDigit(next(1)) || ((next(1) === "+" || next(1) === "-") && isDigit(next(2))))) {
 				pos += 2;
-				pushComponent();
-				continue;
-			} else {
-				pos += 1; // (Skip all characters inside comments.)
-				continue;
+				consumeDigits();
+				numberType = "number";
 			}
-		} else if (isSpace(chrctr)) {
-			// (If previous character in loop was also a space, or if
-			// at the beginning of the string, do not add space char to
-			// component.)
-			if ((str.charAt(pos - 1) && isSpace(str.charAt(pos - 1) ) ) || (!component)) {
+			repr = str.slice(numberStart, pos);
+
+			token = { type: "number", value: parseFloat(repr), numberType: numberType };
+			if (wouldStartIdentifier(next(), next(1), next(2))) {
+				token.type = "dimension";
+				token.unit = consumeName();
+			} else if (next() === "%") {
+				token.type = "percentage";
 				pos += 1;
-				continue;
-			} else if (parenDepth === 0) {
-				pushComponent();
+			}
+			return token;
+		}
+
+		// https://drafts.csswg.org/css-syntax-3/#consume-remnants-of-bad-url
+		function consumeBadUrlRemnants() {
+			var chr;
+
+			while (true) {
+				chr = next();
+				if (chr === ")" || chr === "") {
+					pos += chr ? 1 : 0;
+					return { type: "bad-url" };
+				}
+				pos += 1;
+				if (isValidEscape(chr, next())) {
+					consumeEscape();
+				}
+			}
+		}
+
+		// https://drafts.csswg.org/css-syntax-3/#consume-url-token
+		function consumeUrl() {
+			var chr,
+			    value = "";
+
+			while (isSpace(next())) {
+				pos += 1;
+			}
+			while (true) {
+				chr = next();
+				if (chr === ")" || chr === "") {
+					pos += chr ? 1 : 0;
+					return { type: "url", value: value };
+				} else if (isSpace(chr)) {
+					while (isSpace(next())) {
+						pos += 1;
+					}
+					if (next() === ")" || next() === "") {
+						continue;
+					}
+					return consumeBadUrlRemnants();
+				} else if (chr === "\"" || chr === "'" || chr === "(" ||
+				           (chr < " " && chr !== "\u0009") || chr === "\u007F") {
+					return consumeBadUrlRemnants();
+				} else if (chr === "\\") {
+					if (!isValidEscape(chr, next(1))) {
+						return consumeBadUrlRemnants();
+					}
+					pos += 1;
+					value += consumeEscape();
+				} else {
+					value += chr === "\u0000" ? "\uFFFD" : chr;
+					pos += 1;
+				}
+			}
+		}
+
+		// https://drafts.csswg.org/css-syntax-3/#consume-ident-like-token
+		function consumeIdentLike() {
+			var name = consumeName();
+
+			if (name.toLowerCase() === "url" && next() === "(") {
+				pos += 1;
+				// (A quoted url() is a plain function whose argument is a string.)
+				while (isSpace(next()) && isSpace(next(1))) {
+					pos += 1;
+				}
+				if (next() === "\"" || next() === "'" ||
+				    (isSpace(next()) && (next(1) === "\"" || next(1) === "'"))) {
+					return { type: "function", value: name };
+				}
+				return consumeUrl();
+			}
+			if (next() === "(") {
 				pos += 1;
+				return { type: "function", value: name };
+			}
+			return { type: "ident", value: name };
+		}
+
+		// https://drafts.csswg.org/css-syntax-3/#consume-string-token
+		// (Called with pos just after the opening quote.)
+		function consumeString(endingCodePoint) {
+			var chr,
+			    value = "";
+
+			while (true) {
+				chr = next();
+				if (chr === endingCodePoint || chr === "") {
+					pos += chr ? 1 : 0;
+					return { type: "string", value: value };
+				} else if (isNewline(chr)) {
+					// (The newline is not consumed.)
+					return { type: "bad-string" };
+				} else if (chr === "\\") {
+					pos += 1;
+					if (isNewline(next())) {
+						consumeNewline();
+					} else if (next() !== "") {
+						value += consumeEscape();
+					}
+				} else {
+					value += chr === "\u0000" ? "\uFFFD" : chr;
+					pos += 1;
+				}
+			}
+		}
+
+		// https://drafts.csswg.org/css-syntax-3/#consume-token
+		while (pos < str.length) {
+			start = pos;
+			c = next();
+
+			if (c === "/" && next(1) === "*") {
+				// https://drafts.csswg.org/css-syntax-3/#consume-comments
+				// (An unclosed comment runs to the end of the string.)
+				pos = str.indexOf("*/", pos + 2);
+				pos = pos === -1 ? str.length : pos + 2;
 				continue;
+			}
+
+			if (isSpace(c)) {
+				while (isSpace(next())) {
+					pos += 1;
+				}
+				token = { type: "whitespace" };
+			} else if (c === "\"" || c === "'") {
+				pos += 1;
+				token = consumeString(c);
+			} else if (c === "#" && (isNameCodePoint(next(1)) || isValidEscape(next(1), next(2)))) {
+				pos += 1;
+				token = {
+					type: "hash",
+					id: wouldStartIdentifier(next(), next(1), next(2))
+				};
+				token.value = consumeName();
+			} else if (punctuation.hasOwnProperty(c)) {
+				pos += 1;
+				token = { type: punctuation[ c ] };
+			} else if (wouldStartNumber(c, next(1), next(2))) {
+				token = consumeNumeric();
+			} else if (c === "-" && next(1) === "-" && next(2) === ">") {
+				pos += 3;
+				token = { type: "cdc" };
+			} else if (c === "<" && str.substr(pos, 4) === "<!--") {
+				pos += 4;
+				token = { type: "cdo" };
+			} else if (c === "@" && wouldStartIdentifier(next(1), next(2), next(3))) {
+				pos += 1;
+				token = { type: "at-keyword", value: consumeName() };
+			} else if (wouldStartIdentifier(c, next(1), next(2))) {
+				token = consumeIdentLike();
 			} else {
-				// (Replace any space character with a plain space for legibility.)
-				chrctr = " ";
-			}
-		} else if (chrctr === "(") {
-			parenDepth += 1;
-		} else if (chrctr === ")") {
-			parenDepth -= 1;
-		} else if (chrctr === ",") {
-			pushComponent()
-			pushComponentArray();
+				pos += 1;
+				token = { type: "delim", value: c };
+			}
+
+			token.repr = str.slice(start, pos);
+			token.start = start;
+			token.end = pos;
+			tokens.push(token);
+		}
+
+		return tokens;
+	}
+
+	// (Groups tokens into component values, which are either tokens, functions
+	// shaped like { type: "function", name, value, closed, start, end } or simple
+	// blocks shaped like { type: "block", token, value, closed, start, end }. Blocks
+	// and functions left open at the end of the string are closed, as CSS Syntax
+	// says, but have closed set to false.)
+	// https://drafts.csswg.org/css-syntax-3/#parse-list-of-component-values
+	function parseComponentValues(str) {
+		var tokens = tokenize(str),
+		    pos = 0,
+		    list = [],
+		    mirrors = { "(": ")", "[": "]", "{": "}", "function": ")" };
+
+		// https://drafts.csswg.org/css-syntax-3/#consume-component-value
+		function consumeComponentValue() {
+			var node,
+			    opening = tokens[ pos ];
+
 			pos += 1;
-			continue;
-		} else if ( (chrctr === "/") && (str.charAt( pos + 1 ) === "*") ) {
-			inComment = true;
-			pos += 2;
-			continue;
+			if (!mirrors.hasOwnProperty(opening.type)) {
+				return opening;
+			}
+
+			node = opening.type === "function" ?
+			       { type: "function", name: opening.value, repr: opening.repr } :
+			       { type: "block", token: opening.type };
+			node.value = [];
+			node.closed = false;
+			node.start = opening.start;
+			node.end = opening.end;
+
+			while (pos < tokens.length) {
+				if (tokens[ pos ].type === mirrors[ opening.type ]) {
+					node.closed = true;
+					node.end = tokens[ pos ].end;
+					pos += 1;
+					return node;
+				}
+				node.value.push(consumeComponentValue());
+				node.end = tokens[ pos - 1 ].end;
+			}
+			return node;
+		}
+
+		while (pos < tokens.length) {
+			list.push(consumeComponentValue());
+		}
+
+		return list;
+	}
+
+	// (Splits the top level of the component values at commas. Returns an array of
+	// arrays of component values.)
+	// https://drafts.csswg.org/css-syntax-3/#parse-comma-separated-list-of-component-values
+	function parseCommaSeparatedComponentValues(str) {
+		var i,
+		    components = parseComponentValues(str),
+		    lists = [ [] ];
+
+		for (i = 0; i < components.length; i++) {
+			if (components[ i ].type === "comma") {
+				lists.push([]);
+			} else {
+				lists[ lists.length - 1 ].push(components[ i ]);
+			}
+		}
+
+		return lists;
+	}
+
+	function serializationType(component, last) {
+		if (component.type === "function") {
+			return last ? ")" : "function";
+		}
+		if (component.type === "block") {
+			return last ? mirrorOf(component.token) : component.token;
 		}
+		return component.type === "delim" ? component.value : component.type;
+	}
+
+	function mirrorOf(bracket) {
+		return bracket === "[" ? "]" : bracket === "{" ? "}" : ")";
+	}
+
+	// (Writes component values back out as text. Comments are gone, runs of
+	// whitespace become a single space, and everything else is written as it
+	// was in the source, including escapes.)
+	function serialize(components) {
+		var i, component, pairs,
+		    previous = null,
+		    text = "";
+
+		for (i = 0; i < components.length; i++) {
+			component = components[ i ];
+
+			if (component.type === "whitespace") {
+				if (previous && previous.type === "whitespace") {
+					continue;
+				}
+				text += " ";
+			} else {
+				pairs = previous && serializationPairs[ serializationType(previous, true) ];
+				if (pairs && pairs.indexOf(" " + serializationType(component) + " ") !== -1) {
+					text += "/**/";
+				}
+				if (component.type === "function") {
+					text += component.repr + serialize(component.value) +
+					        (component.closed ? ")" : "");
+				} else if (component.type === "block") {
+					text += component.token + serialize(component.value) +
+					        (component.closed ? mirrorOf(component.token) : "");
+				} else {
+					text += component.repr;
+				}
+			}
+			previous = component;
+		}
+
+		return text;
+	}
+
+	function trimWhitespace(components) {
+		var start = 0,
+		    end = components.length;
+
+		while (start < end && components[ start ].type === "whitespace") {
+			start += 1;
+		}
+		while (end > start && components[ end - 1 ].type === "whitespace") {
+			end -= 1;
+		}
+		return components.slice(start, end);
+	}
 
-		component = component + chrctr;
-		pos += 1;
+	function withoutWhitespace(components) {
+		var i,
+		    result = [];
+
+		for (i = 0; i < components.length; i++) {
+			if (components[ i ].type !== "whitespace") {
+				result.push(components[ i ]);
+			}
 		}
+		return result;
+	}
+
+	// (Gives a parsed node the offsets of the component values it was parsed from.)
+	function locate(node, first, last) {
+		node.start = first.start;
+		node.end = last.end;
+		return node;
 	}
 
 	function isValidNonNegativeSourceSizeValue(s) {
-		if (regexCssLengthWithUnits.test(s) && (parseFloat(s) >= 0)) {return true;}
-		if (regexCssCalc.test(s)) {return true;}
+		var match = regexCssLengthWithUnits.exec(s);
+
+		if (match && isLengthUnit(match[ 1 ]) && (parseFloat(s) >= 0)) {return true;}
 		// ( http://www.w3.org/TR/CSS2/syndata.html#numbers says:
 		// "-0 is equivalent to 0 and is not a negative number." which means that
 		// unitless zero and unitless negative zero must be accepted as special cases.)
@@ -145,70 +814,2462 @@ function parseSizes(strValue) {
 		return false;
 	}
 
-	// When asked to parse a sizes attribute from an element, parse a
-	// comma-separated list of component values from the value of the element's
-	// sizes attribute (or the empty string, if the attribute is absent), and let
-	// unparsed sizes list be the result.
-	// http://dev.w3.org/csswg/css-syntax/#parse-comma-separated-list-of-component-values
+	// (Describes a <source-size-value> component as a length, a math function, which
+	// is a "calc" whatever its name, or an invalid value. An invalid math function
+	// says why in its message.)
+	function parseSourceSizeValue(component) {
+		var calculation,
+		    s = serialize([ component ]);
+
+		// <source-size-value> = <length> | auto
+		if (isKeyword(component, "auto")) {
+			return locate({ type: "auto", text: s }, component, component);
+		}
+		if (component.type === "function") {
+			calculation = parseCalculation(component);
+			return locate(calculation.type === "invalid" ?
+			              { type: "invalid", text: s, message: calculation.message } :
+			              { type: "calc", text: s, calculation: calculation },
+			              component, component);
+		}
+		if (!isValidNonNegativeSourceSizeValue(s)) {
+			return locate({ type: "invalid", text: s }, component, component);
+		}
+		return locate({
+			type: "length",
+			text: s,
+			value: component.value,
+			unit: component.type === "dimension" ? component.unit.toLowerCase() : ""
+		}, component, component);
+	}
+
+	function isKeyword(component, keyword) {
+		return !!component && component.type === "ident" &&
+		       component.value.toLowerCase() === keyword;
+	}
+
+	// <mf-value> = <number> | <dimension> | <ident> | <ratio>
+	// (And math functions, which the evaluator works out as lengths.)
+	function isMediaFeatureValue(components) {
+		if (components.length === 1) {
+			return components[ 0 ].type === "number" || components[ 0 ].type === "dimension" ||
+			       components[ 0 ].type === "ident" ||
+			       (components[ 0 ].type === "function" && components[ 0 ].closed);
+		}
+		// <ratio> = <number [0,∞]> [ / <number [0,∞]> ]?
+		return components.length === 3 && components[ 0 ].type === "number" &&
+		       components[ 1 ].type === "delim" && components[ 1 ].value === "/" &&
+		       components[ 2 ].type === "number";
+	}
+
+	// (<any-value> is any run of tokens without a <bad-string-token>, a <bad-url-token>
+	// or an unmatched <)-token>, <]-token> or <}-token>, at any depth.)
+	// https://drafts.csswg.org/css-syntax-3/#typedef-any-value
+	function isAnyValue(components) {
+		var i, component;
+
+		for (i = 0; i < components.length; i++) {
+			component = components[ i ];
+			if (component.type === "bad-string" || component.type === "bad-url" ||
+			    component.type === ")" || component.type === "]" || component.type === "}" ||
+			    ((component.type === "function" || component.type === "block") &&
+			     !isAnyValue(component.value))) {
+				return false;
+			}
+		}
+		return true;
+	}
+
+	function flipComparison(operator) {
+		return operator.replace(/[<>]/, function(c) {
+			return c === "<" ? ">" : "<";
+		});
+	}
+
+	// (Reads the inside of a parenthesized <mf-range> as
+	// { name, comparisons: [ { operator, value } ] }, with every comparison turned
+	// around to have the feature on the left, so "(400px <= width < 800px)" has
+	// comparisons width >= 400px and width < 800px. Returns null if it isn't one.)
+	// <mf-range> = <mf-name> <mf-comparison> <mf-value>
+	//            | <mf-value> <mf-comparison> <mf-name>
+	//            | <mf-value> <mf-lt> <mf-name> <mf-lt> <mf-value>
+	//            | <mf-value> <mf-gt> <mf-name> <mf-gt> <mf-value>
+	// <mf-lt> = '<' '='?
+	// <mf-gt> = '>' '='?
+	// <mf-eq> = '='
+	// https://drafts.csswg.org/mediaqueries-4/#typedef-mf-range
+	function parseMediaFeatureRange(components) {
+		var i, component, operator, name,
+		    operands = [ [] ],
+		    operators = [];
+
+		for (i = 0; i < components.length; i++) {
+			component = components[ i ];
+			if (component.type === "delim" && /^[<>=]$/.test(component.value)) {
+				operator = component.value;
+				// (The "=" of "<=" and ">=" has to follow right after, with no whitespace.)
+				if (operator !== "=" && components[ i + 1 ] &&
+				    components[ i + 1 ].type === "delim" && components[ i + 1 ].value === "=") {
+					operator += "=";
+					i += 1;
+				}
+				operators.push(operator);
+				operands.push([]);
+			} else if (component.type !== "whitespace") {
+				operands[ operands.length - 1 ].push(component);
+			}
+		}
+
+		function isName(operand) {
+			return operand.length === 1 && operand[ 0 ].type === "ident";
+		}
+
+		if (operators.length === 1) {
+			if (isName(operands[ 0 ]) && isMediaFeatureValue(operands[ 1 ])) {
+				name = operands[ 0 ][ 0 ].value;
+				operands = [ operands[ 1 ] ];
+			} else if (isName(operands[ 1 ]) && isMediaFeatureValue(operands[ 0 ])) {
+				name = operands[ 1 ][ 0 ].value;
+				operands = [ operands[ 0 ] ];
+				operators = [ flipComparison(operators[ 0 ]) ];
+			} else {
+				return null;
+			}
+		} else if (operators.length === 2) {
+			if (!isName(operands[ 1 ]) || !isMediaFeatureValue(operands[ 0 ]) ||
+			    !isMediaFeatureValue(operands[ 2 ]) ||
+			    operators[ 0 ].charAt(0) !== operators[ 1 ].charAt(0) || operators[ 0 ] === "=") {
+				return null;
+			}
+			name = operands[ 1 ][ 0 ].value;
+			operands = [ operands[ 0 ], operands[ 2 ] ];
+			operators[ 0 ] = flipComparison(operators[ 0 ]);
+		} else {
+			return null;
+		}
+
+		return {
+			name: name.toLowerCase(),
+			comparisons: operands.length === 1 ?
+			             [ { operator: operators[ 0 ], value: serialize(operands[ 0 ]) } ] :
+			             [ { operator: operators[ 0 ], value: serialize(operands[ 0 ]) },
+			               { operator: operators[ 1 ], value: serialize(operands[ 1 ]) } ]
+		};
+	}
+
+	// <media-in-parens> = ( <media-condition> ) | <media-feature> | <general-enclosed>
+	// https://drafts.csswg.org/mediaqueries-4/#typedef-media-in-parens
+	// (A media feature that isn't in the catalog, or whose value doesn't fit it, is
+	// <general-enclosed> to the spec, and so unknown. It stays a feature here, but
+	// with a message saying what is wrong, so that tools can point at it.)
+	function mediaFeature(node, component) {
+		var message = validateMediaFeature(node);
+
+		if (message) {
+			node.message = message;
+		}
+		return locate(node, component, component);
+	}
+
+	function parseMediaInParens(component) {
+		var inner, condition, range;
+
+		if (component.type === "function" && component.closed && isAnyValue(component.value)) {
+			// <general-enclosed> = [ <function-token> <any-value> ) ]
+			return locate({ type: "general-enclosed", text: serialize([ component ]) },
+			              component, component);
+		}
+
+		if (component.type !== "block" || component.token !== "(" || !component.closed) {
+			return null;
+		}
+
+		condition = parseMediaCondition(component.value);
+		if (condition && condition.type !== "invalid") {
+			return condition;
+		}
+
+		// <media-feature> = ( [ <mf-plain> | <mf-boolean> | <mf-range> ] )
+		inner = withoutWhitespace(component.value);
+
+		// <custom-media-query> = ( <extension-name> )
+		// https://drafts.csswg.org/mediaqueries-5/#custom-mq
+		// (Its name is case-sensitive, and it is resolved only when evaluated.)
+		if (inner.length === 1 && inner[ 0 ].type === "ident" && /^--/.test(inner[ 0 ].value)) {
+			return locate({ type: "custom-media", name: inner[ 0 ].value }, component, component);
+		}
+
+		if (inner.length && inner[ 0 ].type === "ident") {
+			// <mf-boolean> = <mf-name>
+			if (inner.length === 1) {
+				return mediaFeature({
+					type: "feature",
+					syntax: "boolean",
+					name: inner[ 0 ].value.toLowerCase()
+				}, component);
+			}
+			// <mf-plain> = <mf-name> : <mf-value>
+			if (inner[ 1 ].type === "colon" && isMediaFeatureValue(inner.slice(2))) {
+				return mediaFeature({
+					type: "feature",
+					syntax: "plain",
+					name: inner[ 0 ].value.toLowerCase(),
+					value: serialize(inner.slice(2))
+				}, component);
+			}
+		}
+		range = parseMediaFeatureRange(component.value);
+		if (range) {
+			return mediaFeature({
+				type: "feature",
+				syntax: "range",
+				name: range.name,
+				comparisons: range.comparisons
+			}, component);
+		}
+
+		// <general-enclosed> = ( <any-value> )
+		if (!isAnyValue(component.value)) {
+			return null;
+		}
+		return locate({ type: "general-enclosed", text: serialize([ component ]) },
+		              component, component);
+	}
 
-	unparsedSizesList = parseComponentValues(strValue);
-	unparsedSizesListLength = unparsedSizesList.length;
+	// (Parses component values as a <media-condition> without evaluating it.
+	// Returns null if there are none, or an "invalid" node if they don't parse.)
+	// <media-condition> = <media-not> | <media-in-parens> [ <media-and>* | <media-or>* ]
+	// https://drafts.csswg.org/mediaqueries-4/#typedef-media-condition
+	function parseMediaCondition(components) {
+		var i, node, combinator, invalid,
+		    conditions = [];
 
-// For each unparsed size in unparsed sizes list:
-	for (i = 0; i < unparsedSizesListLength; i++) {
-		unparsedSize = unparsedSizesList[ i ];
+		components = trimWhitespace(components);
+		if (components.length === 0) {
+			return null;
+		}
+		invalid = locate({ type: "invalid", text: serialize(components) },
+		                 components[ 0 ], components[ components.length - 1 ]);
+		components = withoutWhitespace(components);
 
-		// 1. Remove all consecutive <whitespace-token>s from the end of unparsed size.
-		// ( parseComponentValues() already omits spaces outside of parens. )
+		// <media-not> = not <media-in-parens>
+		if (isKeyword(components[ 0 ], "not")) {
+			node = components.length === 2 && parseMediaInParens(components[ 1 ]);
+			if (!node) {
+				return invalid;
+			}
+			return locate({ type: "not", condition: node }, components[ 0 ], components[ 1 ]);
+		}
 
-		// If unparsed size is now empty, that is a parse error; continue to the next
-		// iteration of this algorithm.
-		// ( parseComponentValues() won't push an empty array. )
+		node = parseMediaInParens(components[ 0 ]);
+		if (!node) {
+			return invalid;
+		}
+		conditions.push(node);
 
-		// 2. If the last component value in unparsed size is a valid non-negative
-		// <source-size-value>, let size be its value and remove the component value
-		// from unparsed size. Any CSS function other than the calc() function is
-		// invalid. Otherwise, there is a parse error; continue to the next iteration
-		// of this algorithm.
-		// http://dev.w3.org/csswg/css-syntax/#parse-component-value
-		lastComponentValue = unparsedSize[ unparsedSize.length - 1 ];
+		// <media-and> = and <media-in-parens>
+		// <media-or> = or <media-in-parens>
+		// (The two combinators can't be mixed without parens.)
+		for (i = 1; i < components.length; i += 2) {
+			if (!combinator && (isKeyword(components[ i ], "and") ||
+			                    isKeyword(components[ i ], "or"))) {
+				combinator = components[ i ].value.toLowerCase();
+			}
+			node = i + 1 < components.length && parseMediaInParens(components[ i + 1 ]);
+			if (!isKeyword(components[ i ], combinator) || !node) {
+				return invalid;
+			}
+			conditions.push(node);
+		}
 
-		if (isValidNonNegativeSourceSizeValue(lastComponentValue)) {
-			size = lastComponentValue;
-			unparsedSize.pop();
-		} else if (window.console && console.log) {
-			console.log("Parse error: " + strValue);
-			continue;
+		if (!combinator) {
+			return conditions[ 0 ];
 		}
+		return locate({ type: combinator, conditions: conditions },
+		              components[ 0 ], components[ components.length - 1 ]);
+	}
+
+	// (Finds a unit in a size, or in a calculation, that is from a later level of CSS
+	// Values than the given one.)
+	function findLaterUnit(node, valuesLevel) {
+		var i, unit;
 
-		// 3. Remove all consecutive <whitespace-token>s from the end of unparsed
-		// size. If unparsed size is now empty, return size and exit this algorithm.
-		// If this was not the last item in unparsed sizes list, that is a parse error.
-		if (unparsedSize.length === 0) {
-			if ((i !== unparsedSizesListLength - 1) && window.console && console.log) {
-				console.log("Parse error: " + strValue);
+		switch (node.type) {
+		case "length":
+			return lengthUnits[ node.unit ] > valuesLevel ? node.unit : null;
+		case "calc":
+			return findLaterUnit(node.calculation, valuesLevel);
+		case "operation":
+			return findLaterUnit(node.left, valuesLevel) || findLaterUnit(node.right, valuesLevel);
+		case "math-function":
+			for (i = 0; i < node.arguments.length && !unit; i++) {
+				unit = findLaterUnit(node.arguments[ i ], valuesLevel);
 			}
+			return unit || null;
+		}
+		return null;
+	}
+
+	// (Makes a size invalid if it has a unit that the level of CSS Values that sizes
+	// are held to doesn't have.)
+	function checkValuesLevel(size, valuesLevel) {
+		var unit = findLaterUnit(size, valuesLevel);
+
+		if (!unit) {
 			return size;
 		}
+		return {
+			type: "invalid",
+			text: size.text,
+			message: unit + " is not a unit in CSS Values Level " + valuesLevel,
+			start: size.start,
+			end: size.end
+		};
+	}
+
+	// (Parses every entry of a sizes attribute as parse() does, with null for each
+	// empty one, so that detailed() can report those too.)
+	function parseEntries(strValue, options) {
+		var i, unparsedSize, lastComponentValue, size,
+		    valuesLevel = (options && options.valuesLevel) || 4,
+		    sourceSizes = [],
+
+		// When asked to parse a sizes attribute from an element, parse a
+		// comma-separated list of component values from the value of the element's
+		// sizes attribute (or the empty string, if the attribute is absent), and let
+		// unparsed sizes list be the result.
+		// http://dev.w3.org/csswg/css-syntax/#parse-comma-separated-list-of-component-values
+		    unparsedSizesList = parseCommaSeparatedComponentValues(strValue);
+
+		for (i = 0; i < unparsedSizesList.length; i++) {
+
+			// 1. Remove all consecutive <whitespace-token>s from the end of unparsed size.
+			// ( And from the start, which makes no difference to the algorithm. )
+			unparsedSize = trimWhitespace(unparsedSizesList[ i ]);
+
+			// If unparsed size is now empty, that is a parse error; continue to the next
+			// iteration of this algorithm.
+			if (unparsedSize.length === 0) {
+				sourceSizes.push(null);
+				continue;
+			}
+
+			// 2. If the last component value in unparsed size is a valid non-negative
+			// <source-size-value>, let size be its value and remove the component value
+			// from unparsed size. Any CSS function other than the calc() function is
+			// invalid.
+			// (Except for min(), max() and clamp(), which are math functions too.)
+			// http://dev.w3.org/csswg/css-syntax/#parse-component-value
+			// ( An invalid size is removed all the same, and marked as invalid, so that
+			// the caller can report it. )
+			lastComponentValue = unparsedSize[ unparsedSize.length - 1 ];
+
+			// 3. Remove all consecutive <whitespace-token>s from the end of unparsed
+			// size.
+			unparsedSize = trimWhitespace(unparsedSize.slice(0, -1));
+
+			// ( An auto size says whether it is the one that a sizes attribute that
+			// allows auto-sizes starts with, which is the only auto that can apply. )
+			// https://html.spec.whatwg.org/multipage/images.html#allows-auto-sizes
+			size = checkValuesLevel(parseSourceSizeValue(lastComponentValue), valuesLevel);
+			if (size.type === "auto") {
+				size.allowsAutoSizes = i === 0 && regexAutoSizes.test(strValue);
+			}
+
+			// 4. Parse the remaining component values in unparsed size as a
+			// <media-condition>.
+			sourceSizes.push({
+				type: "source-size",
+				index: i,
+				media: serialize(unparsedSize),
+				condition: parseMediaCondition(unparsedSize),
+				size: size,
+				start: (unparsedSize[ 0 ] || lastComponentValue).start,
+				end: lastComponentValue.end
+			});
+		}
+
+		return sourceSizes;
+	}
+
+	// (Parses a sizes attribute into its list of <source-size>s without evaluating
+	// any media condition. Each one is returned as
+	// { type: "source-size", index, media, condition, size, start, end }, where index
+	// is its position among the commas of the attribute, counting empty entries,
+	// which are left out, media is the text of the media condition, condition is its
+	// parse tree or null if there is none, and size describes the <source-size-value>.
+	// The entry, every condition node and the size all carry start and end offsets
+	// into strValue. A size with a unit from a later level of CSS Values than
+	// options.valuesLevel is invalid.)
+	function parse(strValue, options) {
+		var i,
+		    entries = parseEntries(strValue, options),
+		    sourceSizes = [];
+
+		for (i = 0; i < entries.length; i++) {
+			if (entries[ i ]) {
+				sourceSizes.push(entries[ i ]);
+			}
+		}
+
+		return sourceSizes;
+	}
+
+	function stringifyMediaInParens(node) {
+		if (node.type === "feature" || node.type === "general-enclosed" ||
+		    node.type === "custom-media") {
+			return stringifyMediaCondition(node);
+		}
+		return "(" + stringifyMediaCondition(node) + ")";
+	}
+
+	function stringifyMediaCondition(node) {
+		var i, conditions, first, last;
+
+		switch (node.type) {
+		case "feature":
+			if (node.syntax === "boolean") {
+				return "(" + node.name + ")";
+			}
+			if (node.syntax === "range") {
+				first = node.comparisons[ 0 ];
+				last = node.comparisons[ 1 ];
+				if (!last) {
+					return "(" + [ node.name, first.operator,
+					               first.value.toLowerCase() ].join(" ") + ")";
+				}
+				return "(" + [ first.value.toLowerCase(), flipComparison(first.operator), node.name,
+				               last.operator, last.value.toLowerCase() ].join(" ") + ")";
+			}
+			return "(" + node.name + ": " + node.value.toLowerCase() + ")";
+		case "general-enclosed":
+			// (Its contents are unknown, so they are left as they are.)
+			return node.text;
+		case "custom-media":
+			return "(" + node.name + ")";
+		case "not":
+			return "not " + stringifyMediaInParens(node.condition);
+		default:
+			conditions = [];
+			for (i = 0; i < node.conditions.length; i++) {
+				conditions.push(stringifyMediaInParens(node.conditions[ i ]));
+			}
+			return conditions.join(" " + node.type + " ");
+		}
+	}
+
+	// (Writes a list of <source-size>s from parse() back out in a canonical form:
+	// comments stripped, whitespace collapsed, units and keywords lowercased,
+	// invalid entries dropped. Also takes a sizes string and parses it first.)
+	function stringify(sourceSizes) {
+		var i, sourceSize,
+		    entries = [];
+
+		if (typeof sourceSizes === "string") {
+			sourceSizes = parse(sourceSizes);
+		}
 
-		// 4. Parse the remaining component values in unparsed size as a
-		// <media-condition>. If it does not parse correctly, or it does parse
-		// correctly but the <media-condition> evaluates to false, continue to the
-		// next iteration of this algorithm.
-		// (Parsing all possible compound media conditions in JS is heavy, complicated,
-		// and the payoff is unclear. Is there ever an situation where the
-		// media condition parses incorrectly but still somehow evaluates to true?
-		// Can we just rely on the browser/polyfill to do it?)
-		unparsedSize = unparsedSize.join(" ");
-		if (!(window.matchMedia(unparsedSize).matches) ) {
-			continue;
+		for (i = 0; i < sourceSizes.length; i++) {
+			sourceSize = sourceSizes[ i ];
+			if (sourceSize.size.type === "invalid" ||
+			    (sourceSize.condition && sourceSize.condition.type === "invalid")) {
+				continue;
+			}
+			entries.push((sourceSize.condition ?
+			              stringifyMediaCondition(sourceSize.condition) + " " : "") +
+			             sourceSize.size.text.toLowerCase().replace(/\( /g, "(").replace(/ \)/g, ")")
+			                                  .replace(/ ?, ?/g, ", "));
 		}
 
-		// 5. Return size and exit this algorithm.
-		return size;
+		return entries.join(", ");
+	}
+
+	// MATH FUNCTIONS
+
+	// (A math function is parsed into a tree of { type: "math-function", name, arguments },
+	// { type: "operation", operator, left, right }, { type: "number", value } and
+	// { type: "length", value, unit } nodes, with offsets. Parens add no node of their
+	// own. Anything that isn't valid comes back as { type: "invalid", message }.)
+	// https://drafts.csswg.org/css-values-4/#calc-syntax
+
+	function isLengthUnit(unit) {
+		return lengthUnits.hasOwnProperty(unit.toLowerCase());
 	}
 
-	// If the above algorithm exhausts unparsed sizes list without returning a
-	// size value, return 100vw.
-	return "100vw";
-}
+	function invalidCalculation(message) {
+		return { type: "invalid", message: message };
+	}
+
+	// <calc-value> = <number> | <dimension> | <percentage> | <calc-keyword> | ( <calc-sum> )
+	// (Percentages are not allowed in sizes, and a dimension has to be a length.)
+	function parseCalcValue(component) {
+		var text = serialize([ component ]),
+		    keyword = component.type === "ident" && component.value.toLowerCase();
+
+		if (component.type === "number") {
+			return locate({ type: "number", value: component.value }, component, component);
+		}
+		if (component.type === "dimension") {
+			if (!isLengthUnit(component.unit)) {
+				return invalidCalculation(text + " is not a length");
+			}
+			return locate({
+				type: "length",
+				value: component.value,
+				unit: component.unit.toLowerCase()
+			}, component, component);
+		}
+		if (component.type === "percentage") {
+			return invalidCalculation("percentages are not allowed in sizes");
+		}
+		// <calc-keyword> = e | pi | infinity | -infinity | NaN
+		if (keyword && calcKeywords.hasOwnProperty(keyword)) {
+			return locate({ type: "number", value: calcKeywords[ keyword ] }, component, component);
+		}
+		if (component.type === "block" && component.token === "(") {
+			if (!component.closed) {
+				return invalidCalculation("( is not closed");
+			}
+			return parseCalcSum(component.value);
+		}
+		if (component.type === "function") {
+			return parseMathFunction(component);
+		}
+		return invalidCalculation(text + " is not a number or a length");
+	}
+
+	// <calc-product> = <calc-value> [ [ '*' | '/' ] <calc-value> ]*
+	function parseCalcProduct(components) {
+		var i, operator, node, right;
+
+		components = withoutWhitespace(components);
+		for (i = 0; i < components.length; i += 2) {
+			operator = i > 0 && components[ i - 1 ];
+			if (operator && (operator.type !== "delim" ||
+			                 (operator.value !== "*" && operator.value !== "/"))) {
+				return invalidCalculation("missing an operator before " + serialize([ operator ]));
+			}
+			if (components[ i ].type === "delim" && /^[*\/]$/.test(components[ i ].value)) {
+				return invalidCalculation(components[ i ].value + " needs a value on each side");
+			}
+			right = parseCalcValue(components[ i ]);
+			if (right.type === "invalid") {
+				return right;
+			}
+			node = operator ? locate({
+				type: "operation",
+				operator: operator.value,
+				left: node,
+				right: right
+			}, components[ 0 ], components[ i ]) : right;
+		}
+		if (components.length === 0) {
+			return invalidCalculation("missing a value");
+		}
+		operator = components[ components.length - 1 ];
+		if (components.length % 2 === 0) {
+			return invalidCalculation(operator.type === "delim" && /^[*\/]$/.test(operator.value) ?
+			                          operator.value + " needs a value on each side" :
+			                          "missing an operator before " + serialize([ operator ]));
+		}
+		return node;
+	}
+
+	// <calc-sum> = <calc-product> [ [ '+' | '-' ] <calc-product> ]*
+	// (White space is required on both sides of the + and - operators.)
+	function parseCalcSum(components) {
+		var i, component, right,
+		    node = null,
+		    operator = null,
+		    start = 0;
+
+		components = trimWhitespace(components);
+		for (i = 0; i <= components.length; i++) {
+			component = components[ i ];
+			if (component && (component.type !== "delim" ||
+			                  (component.value !== "+" && component.value !== "-"))) {
+				continue;
+			}
+			if (component && (i === 0 || i === components.length - 1)) {
+				return invalidCalculation(component.value + " needs a value on each side");
+			}
+			if (component && (components[ i - 1 ].type !== "whitespace" ||
+			                  components[ i + 1 ].type !== "whitespace")) {
+				return invalidCalculation(component.value + " needs white space on each side");
+			}
+			right = parseCalcProduct(components.slice(start, i));
+			if (right.type === "invalid") {
+				return right;
+			}
+			node = operator ? locate({
+				type: "operation",
+				operator: operator,
+				left: node,
+				right: right
+			}, components[ 0 ], components[ i - 1 ]) : right;
+			operator = component && component.value;
+			start = i + 1;
+		}
+		return node || invalidCalculation("missing a value");
+	}
+
+	// <calc()> = calc( <calc-sum> )
+	// <min()> = min( <calc-sum># )
+	// <max()> = max( <calc-sum># )
+	// <clamp()> = clamp( [ <calc-sum> | none ], <calc-sum>, [ <calc-sum> | none ] )
+	// <round()> = round( <rounding-strategy>?, <calc-sum>, <calc-sum>? )
+	// <mod()> = mod( <calc-sum>, <calc-sum> )
+	// <rem()> = rem( <calc-sum>, <calc-sum> )
+	// <abs()> = abs( <calc-sum> )
+	// <sign()> = sign( <calc-sum> )
+	// <hypot()> = hypot( <calc-sum># )
+	// (And pow(), sqrt(), log(), exp(), sin(), cos() and tan(), which take numbers. A
+	// calc() nested in another math function is the same as parens. A none in clamp()
+	// is a { type: "none" } node, and round() has its strategy, "nearest" by default.)
+	// https://drafts.csswg.org/css-values-4/#comp-func
+	function parseMathFunction(component) {
+		var i, argument, keyword, node,
+		    name = component.name.toLowerCase(),
+		    counts = mathFunctions[ name ],
+		    lists = [ [] ],
+		    args = [],
+		    strategy = "nearest";
+
+		if (regexAngleMathFunctions.test(name)) {
+			return invalidCalculation(name + "() gives an angle, which sizes don't have");
+		}
+		if (!mathFunctions.hasOwnProperty(name)) {
+			return invalidCalculation(name + "() is not a math function");
+		}
+		if (!component.closed) {
+			return invalidCalculation(name + "( is not closed");
+		}
+		for (i = 0; i < component.value.length; i++) {
+			if (component.value[ i ].type === "comma") {
+				lists.push([]);
+			} else {
+				lists[ lists.length - 1 ].push(component.value[ i ]);
+			}
+		}
+		keyword = withoutWhitespace(lists[ 0 ]);
+		keyword = keyword.length === 1 && keyword[ 0 ].type === "ident" && keyword[ 0 ].value;
+		if (name === "round" && keyword && regexRoundingStrategy.test(keyword)) {
+			strategy = keyword.toLowerCase();
+			lists.shift();
+		}
+		if (lists.length < counts.least || lists.length > counts.most) {
+			return invalidCalculation(name + "() takes " +
+			                          (counts.least !== counts.most ?
+			                           counts.least + " or " + counts.most + " arguments" :
+			                           counts.least === 1 ? "1 argument" :
+			                           counts.least + " arguments"));
+		}
+		for (i = 0; i < lists.length; i++) {
+			argument = withoutWhitespace(lists[ i ]);
+			if (name === "clamp" && i !== 1 && argument.length === 1 &&
+			    isKeyword(argument[ 0 ], "none")) {
+				argument = locate({ type: "none" }, argument[ 0 ], argument[ 0 ]);
+			} else {
+				argument = parseCalcSum(lists[ i ]);
+			}
+			if (argument.type === "invalid") {
+				return argument;
+			}
+			args.push(argument);
+		}
+		node = { type: "math-function", name: name, arguments: args };
+		if (name === "round") {
+			node.strategy = strategy;
+		}
+		return locate(node, component, component);
+	}
+
+	function describeCalcType(power) {
+		return power === 0 ? "a number" : power === 1 ? "a length" : "a length^" + power;
+	}
+
+	// (Works out the type of a calculation as the power its lengths are raised to:
+	// 0 for a number, 1 for a length, 2 for a length times a length. Returns
+	// { power }, or { message } if it adds, subtracts or compares values of
+	// different types.)
+	// https://drafts.csswg.org/css-values-4/#determine-the-type-of-a-calculation
+	function calcType(node) {
+		var left, right;
+
+		switch (node.type) {
+		case "number":
+			return { power: 0 };
+		case "length":
+			return { power: 1 };
+		case "math-function":
+			return mathFunctionType(node);
+		}
+		left = calcType(node.left);
+		right = left.message ? left : calcType(node.right);
+		if (right.message) {
+			return right;
+		}
+		switch (node.operator) {
+		case "*":
+			return { power: left.power + right.power };
+		case "/":
+			return { power: left.power - right.power };
+		}
+		if (left.power !== right.power) {
+			return { message: node.operator === "+" ?
+			         "can't add " + describeCalcType(right.power) + " to " +
+			         describeCalcType(left.power) :
+			         "can't subtract " + describeCalcType(right.power) + " from " +
+			         describeCalcType(left.power) };
+		}
+		return left;
+	}
+
+	// (The type of a math function. Its arguments all have to have the same type,
+	// which it has too, except for sign(), which is always a number, and the functions
+	// that take numbers. round() with no step can only round a number, to an integer.)
+	// https://drafts.csswg.org/css-values-4/#calc-type-checking
+	function mathFunctionType(node) {
+		var i, type,
+		    power = null;
+
+		for (i = 0; i < node.arguments.length; i++) {
+			if (node.arguments[ i ].type === "none") {
+				continue;
+			}
+			type = calcType(node.arguments[ i ]);
+			if (type.message) {
+				return type;
+			}
+			if (mathFunctions[ node.name ].numbers && type.power !== 0) {
+				return { message: node.name + "() takes numbers, not " +
+				         describeCalcType(type.power) };
+			}
+			if (power !== null && power !== type.power) {
+				return { message: node.name + "() can't compare " +
+				         describeCalcType(power) + " with " + describeCalcType(type.power) };
+			}
+			power = type.power;
+		}
+		if (node.name === "round" && node.arguments.length === 1 && power !== 0) {
+			return { message: "round() needs a step to round " + describeCalcType(power) };
+		}
+		return { power: node.name === "sign" ? 0 : power };
+	}
+
+	// (Parses a math function that has to be a <length>: the calculation tree, or an
+	// invalid node saying why it isn't one.)
+	function parseCalculation(component) {
+		var type,
+		    calculation = parseMathFunction(component);
+
+		if (calculation.type === "invalid") {
+			return calculation;
+		}
+		type = calcType(calculation);
+		if (type.message) {
+			return invalidCalculation(type.message);
+		}
+		if (type.power !== 1) {
+			return invalidCalculation(serialize([ component ]) + " is " +
+			                          describeCalcType(type.power) + ", not a length");
+		}
+		return calculation;
+	}
+
+	// (Works out a math function, in CSS pixels for the ones that give a length.
+	// clamp() gives its minimum if that is above its maximum, and treats none as no
+	// limit. round() rounds to a multiple of its step, with ties going up; mod() takes
+	// the sign of its step and rem() the sign of what it divides.)
+	// https://drafts.csswg.org/css-values-4/#round-func
+	function evaluateMathFunction(node, environment, fontSize) {
+		var i, value, a, b,
+		    values = [];
+
+		for (i = 0; i < node.arguments.length; i++) {
+			if (node.arguments[ i ].type === "none") {
+				value = i === 0 ? -Infinity : Infinity;
+			} else {
+				value = evaluateCalculation(node.arguments[ i ], environment, fontSize);
+			}
+			if (value === null) {
+				return null;
+			}
+			values.push(value);
+		}
+		a = values[ 0 ];
+		b = values.length > 1 ? values[ 1 ] : node.name === "log" ? Math.E : 1;
+		switch (node.name) {
+		case "min":
+			return Math.min.apply(Math, values);
+		case "max":
+			return Math.max.apply(Math, values);
+		case "clamp":
+			return Math.max(a, Math.min(b, values[ 2 ]));
+		case "round":
+			b = Math.abs(b);
+			switch (node.strategy) {
+			case "up":
+				return Math.ceil(a / b) * b;
+			case "down":
+				return Math.floor(a / b) * b;
+			case "to-zero":
+				return (a < 0 ? Math.ceil(a / b) : Math.floor(a / b)) * b;
+			}
+			return Math.floor(a / b + 0.5) * b;
+		case "mod":
+			return a - b * Math.floor(a / b);
+		case "rem":
+			return a % b;
+		case "abs":
+			return Math.abs(a);
+		case "sign":
+			return a > 0 ? 1 : a < 0 ? -1 : a;
+		case "hypot":
+			for (i = 0, value = 0; i < values.length; i++) {
+				value += values[ i ] * values[ i ];
+			}
+			return Math.sqrt(value);
+		case "pow":
+			return Math.pow(a, b);
+		case "sqrt":
+			return Math.sqrt(a);
+		case "log":
+			return Math.log(a) / Math.log(b);
+		case "exp":
+			return Math.exp(a);
+		case "sin":
+			return Math.sin(a);
+		case "cos":
+			return Math.cos(a);
+		case "tan":
+			return Math.tan(a);
+		}
+		return a;
+	}
+
+	// (Works out a calculation in CSS pixels, or returns null if it has a unit the
+	// environment can't resolve. Every length is converted to pixels first, which
+	// gives the same result as doing the arithmetic in its own units. fontSize is
+	// passed on to lengthToPixels().)
+	// https://drafts.csswg.org/css-values-4/#calc-computed-value
+	function evaluateCalculation(node, environment, fontSize) {
+		var left, right;
+
+		switch (node.type) {
+		case "number":
+			return node.value;
+		case "length":
+			return lengthToPixels(node.value, node.unit, environment, fontSize);
+		case "math-function":
+			return evaluateMathFunction(node, environment, fontSize);
+		}
+		left = evaluateCalculation(node.left, environment, fontSize);
+		right = left === null ? null : evaluateCalculation(node.right, environment, fontSize);
+		if (right === null) {
+			return null;
+		}
+		switch (node.operator) {
+		case "+":
+			return left + right;
+		case "-":
+			return left - right;
+		case "*":
+			return left * right;
+		}
+		return left / right;
+	}
+
+	// CUSTOM MEDIA
+
+	// (Parses a definition as a <media-condition>, or as true or false, which make a
+	// { type: "constant", value } node: custom media that always or never matches. A
+	// comma-separated list matches if any of its queries does, so it becomes an "or"
+	// node, and is invalid if any of them isn't a <media-condition>.)
+	function parseCustomMediaDefinition(name, condition) {
+		var i, node,
+		    lists = parseCommaSeparatedComponentValues(condition),
+		    components = trimWhitespace(lists[ 0 ]),
+		    conditions = [];
+
+		if (!/^--/.test(name)) {
+			throw new Error("parseSizes: custom media names start with --, not " + name);
+		}
+		if (lists.length === 1 && components.length === 1 &&
+		    (isKeyword(components[ 0 ], "true") || isKeyword(components[ 0 ], "false"))) {
+			return locate({ type: "constant", value: isKeyword(components[ 0 ], "true") },
+			              components[ 0 ], components[ 0 ]);
+		}
+		if (lists.length === 1) {
+			return parseMediaCondition(components);
+		}
+		for (i = 0; i < lists.length; i++) {
+			node = parseMediaCondition(lists[ i ]);
+			if (!node || node.type === "invalid") {
+				return { type: "invalid", text: condition };
+			}
+			conditions.push(node);
+		}
+		return { type: "or", conditions: conditions,
+		         start: conditions[ 0 ].start, end: conditions[ i - 1 ].end };
+	}
+
+	// (Registers a custom media query by name, such as defineCustomMedia("--tablet",
+	// "(min-width: 48em)"), for "(--tablet)" to stand for in sizes. Sizes has no
+	// media types, so only a list of <media-condition>s, true or false works as a
+	// definition; anything else is kept, but a sizes entry that uses it is a parse error.)
+	// https://drafts.csswg.org/mediaqueries-5/#custom-mq
+	function defineCustomMedia(name, condition) {
+		customMediaDefinitions[ name ] = parseCustomMediaDefinition(name, condition);
+	}
+
+	// (Registers every @custom-media rule at the top level of a style sheet and returns
+	// their names. Rules are read as CSS reads them: an at-rule runs to a semicolon or
+	// a {} block, and a style rule to its {} block. A @custom-media rule that ends in a
+	// block, or whose name is not an <extension-name>, is dropped, as CSS drops it.)
+	// @custom-media <extension-name> [ <media-query-list> | true | false ] ;
+	// https://drafts.csswg.org/css-syntax-3/#consume-list-of-rules
+	function loadCustomMedia(cssText) {
+		var i, first, rule, name, end,
+		    names = [],
+		    components = parseComponentValues(cssText);
+
+		for (i = 0; i < components.length; i++) {
+			if (/^(whitespace|cdo|cdc)$/.test(components[ i ].type)) {
+				continue;
+			}
+			first = i;
+			rule = components[ first ];
+			for (i += 1; i < components.length; i++) {
+				if ((components[ i ].type === "block" && components[ i ].token === "{") ||
+				    (rule.type === "at-keyword" && components[ i ].type === "semicolon")) {
+					break;
+				}
+			}
+			if (rule.type !== "at-keyword" || rule.value.toLowerCase() !== "custom-media" ||
+			    (i < components.length && components[ i ].type !== "semicolon")) {
+				continue;
+			}
+			name = withoutWhitespace(components.slice(first + 1, i))[ 0 ];
+			if (!name || name.type !== "ident" || !/^--/.test(name.value)) {
+				continue;
+			}
+			end = i < components.length ? components[ i ].start : cssText.length;
+			defineCustomMedia(name.value, cssText.slice(name.end, end));
+			names.push(name.value);
+		}
+
+		return names;
+	}
+
+	function clearCustomMedia() {
+		customMediaDefinitions = {};
+	}
+
+	// (Replaces each custom media query in a condition with a copy that holds the
+	// parse tree of its definition as its condition. options.customMedia, an object
+	// of definitions by name, comes before the registered ones. A name that isn't
+	// defined, or whose definition isn't a media condition or uses itself, makes an
+	// "invalid" node with a message saying so.)
+	function resolveCustomMedia(node, options, resolving) {
+		var i, key, definition, condition,
+		    conditions = [],
+		    copy = {};
+
+		for (key in node) {
+			copy[ key ] = node[ key ];
+		}
+
+		switch (node.type) {
+		case "custom-media":
+			resolving = resolving || [];
+			if (options.customMedia &&
+			    Object.prototype.hasOwnProperty.call(options.customMedia, node.name)) {
+				definition = parseCustomMediaDefinition(node.name,
+				                                        options.customMedia[ node.name ]);
+			} else if (Object.prototype.hasOwnProperty.call(customMediaDefinitions, node.name)) {
+				definition = customMediaDefinitions[ node.name ];
+			} else {
+				return invalidCustomMedia(node, "unknown custom media " + node.name);
+			}
+			if (!definition || definition.type === "invalid") {
+				return invalidCustomMedia(node, "custom media " + node.name +
+				                                " is not a media condition");
+			}
+			if (resolving.indexOf(node.name) !== -1) {
+				return invalidCustomMedia(node, "custom media " + node.name +
+				                                " is defined in terms of itself");
+			}
+			condition = resolveCustomMedia(definition, options, resolving.concat(node.name));
+			if (condition.type === "invalid") {
+				return invalidCustomMedia(node, condition.message);
+			}
+			copy.condition = condition;
+			return copy;
+		case "not":
+			condition = resolveCustomMedia(node.condition, options, resolving);
+			if (condition.type === "invalid") {
+				return condition;
+			}
+			copy.condition = condition;
+			return copy;
+		case "and":
+		case "or":
+			for (i = 0; i < node.conditions.length; i++) {
+				condition = resolveCustomMedia(node.conditions[ i ], options, resolving);
+				if (condition.type === "invalid") {
+					return condition;
+				}
+				conditions.push(condition);
+			}
+			copy.conditions = conditions;
+			return copy;
+		}
+		return node;
+	}
+
+	function invalidCustomMedia(node, message) {
+		return { type: "invalid", text: "(" + node.name + ")", message: message,
+		         start: node.start, end: node.end };
+	}
+
+	// MEDIA CONDITION EVALUATION
+
+	function camelCase(name) {
+		return name.replace(/-([a-z])/g, function(match, letter) {
+			return letter.toUpperCase();
+		});
+	}
+
+	// (Fills in the defaults for whatever an environment description leaves out.)
+	function createEnvironment(environment) {
+		var key,
+		    result = {};
+
+		for (key in defaultEnvironment) {
+			result[ key ] = defaultEnvironment[ key ];
+		}
+		for (key in environment) {
+			if (environment.hasOwnProperty(key) && environment[ key ] !== undefined) {
+				result[ key ] = environment[ key ];
+			}
+		}
+		if (result.deviceWidth === undefined) {
+			result.deviceWidth = result.width;
+		}
+		if (result.deviceHeight === undefined) {
+			result.deviceHeight = result.height;
+		}
+		if (result.anyHover === undefined) {
+			result.anyHover = result.hover;
+		}
+		if (result.anyPointer === undefined) {
+			result.anyPointer = result.pointer;
+		}
+		if (result.fontSize === undefined) {
+			result.fontSize = result.rootFontSize;
+		}
+		if (result.smallViewportWidth === undefined) {
+			result.smallViewportWidth = result.width;
+		}
+		if (result.smallViewportHeight === undefined) {
+			result.smallViewportHeight = result.height;
+		}
+		if (result.largeViewportWidth === undefined) {
+			result.largeViewportWidth = result.width;
+		}
+		if (result.largeViewportHeight === undefined) {
+			result.largeViewportHeight = result.height;
+		}
+		if (result.containerWidth === undefined) {
+			result.containerWidth = result.smallViewportWidth;
+		}
+		if (result.containerHeight === undefined) {
+			result.containerHeight = result.smallViewportHeight;
+		}
+		if (result.orientation === undefined) {
+			result.orientation = result.height >= result.width ? "portrait" : "landscape";
+		}
+		result.aspectRatio = result.width / result.height;
+		result.deviceAspectRatio = result.deviceWidth / result.deviceHeight;
+		return result;
+	}
+
+	// (The size that a viewport-percentage or container unit is a hundredth of: the
+	// viewport for v and dv, the small or the large viewport for sv and lv, and the
+	// container for cq. Inline is across and block is down, unless the environment's
+	// writingMode is vertical.)
+	// https://drafts.csswg.org/css-values-4/#viewport-relative-lengths
+	function viewportPercentageBase(prefix, axis, environment) {
+		var sizes = {
+			v: [ environment.width, environment.height ],
+			dv: [ environment.width, environment.height ],
+			sv: [ environment.smallViewportWidth, environment.smallViewportHeight ],
+			lv: [ environment.largeViewportWidth, environment.largeViewportHeight ],
+			cq: [ environment.containerWidth, environment.containerHeight ]
+		    }[ prefix ],
+		    vertical = /^(vertical|sideways)-/.test(environment.writingMode);
+
+		switch (axis) {
+		case "w":
+			return sizes[ 0 ];
+		case "h":
+			return sizes[ 1 ];
+		case "i":
+			return sizes[ vertical ? 1 : 0 ];
+		case "b":
+			return sizes[ vertical ? 0 : 1 ];
+		case "min":
+			return Math.min(sizes[ 0 ], sizes[ 1 ]);
+		}
+		return Math.max(sizes[ 0 ], sizes[ 1 ]);
+	}
+
+	// (Converts a length to CSS pixels, or returns null for a unit it doesn't know.
+	// Font relative units are taken from the initial font size, which is what media
+	// queries use: the environment's rootFontSize. A fontSize, if given, stands in
+	// for it in the units that aren't relative to the root. The font metrics, line
+	// height included, are given in the environment as fractions of the font size.)
+	// https://drafts.csswg.org/css-values-4/#font-relative-lengths
+	function lengthToPixels(value, unit, environment, fontSize) {
+		var viewportUnit;
+
+		unit = unit.toLowerCase();
+		fontSize = fontSize === undefined ? environment.rootFontSize : fontSize;
+		if (absoluteLengthUnits.hasOwnProperty(unit)) {
+			return value * absoluteLengthUnits[ unit ];
+		}
+		viewportUnit = /^(v|sv|lv|dv|cq)(w|h|i|b|min|max)$/.exec(unit);
+		if (viewportUnit) {
+			return value * viewportPercentageBase(viewportUnit[ 1 ], viewportUnit[ 2 ],
+			                                      environment) / 100;
+		}
+		switch (unit) {
+		case "em":
+			return value * fontSize;
+		case "rem":
+			return value * environment.rootFontSize;
+		case "ex":
+			return value * fontSize * environment.xHeight;
+		case "rex":
+			return value * environment.rootFontSize * environment.xHeight;
+		case "ch":
+			return value * fontSize * environment.chWidth;
+		case "rch":
+			return value * environment.rootFontSize * environment.chWidth;
+		case "cap":
+			return value * fontSize * environment.capHeight;
+		case "rcap":
+			return value * environment.rootFontSize * environment.capHeight;
+		case "ic":
+			return value * fontSize * environment.icWidth;
+		case "ric":
+			return value * environment.rootFontSize * environment.icWidth;
+		case "lh":
+			return value * fontSize * environment.lineHeight;
+		case "rlh":
+			return value * environment.rootFontSize * environment.lineHeight;
+		case "":
+			// (Unitless zero.)
+			return value === 0 ? 0 : null;
+		}
+		return null;
+	}
+
+	// (A <source-size-value> in CSS pixels, or null if it can't be worked out. Its
+	// em, ex and ch are relative to the environment's fontSize. A calc() that comes
+	// out negative is clamped to 0, since sizes can't be negative, and so is NaN.)
+	// https://drafts.csswg.org/css-values-4/#calc-range
+	function sourceSizeValueToPixels(size, environment) {
+		var px;
+
+		if (size.type === "length") {
+			return lengthToPixels(size.value, size.unit, environment, environment.fontSize);
+		}
+		if (size.type !== "calc") {
+			return null;
+		}
+		px = evaluateCalculation(size.calculation, environment, environment.fontSize);
+		return px === null ? null : px > 0 ? px : 0;
+	}
+
+	// (Reads the value of a media feature as a number or keyword of its value
+	// type, or returns null if it isn't one.)
+	function parseMediaFeatureValue(text, feature, environment) {
+		var components, calculation, px,
+		    tokens = withoutWhitespace(tokenize(text)),
+		    first = tokens[ 0 ],
+		    unit = first.unit ? first.unit.toLowerCase() : "";
+
+		// (A math function has to be a length, and one that comes out negative is
+		// clamped to 0, as in a size.)
+		if (feature.valueType === "length" && first.type === "function") {
+			components = trimWhitespace(parseCommaSeparatedComponentValues(text)[ 0 ]);
+			calculation = components.length === 1 && components[ 0 ].type === "function" &&
+			              parseCalculation(components[ 0 ]);
+			if (!calculation || calculation.type === "invalid") {
+				return null;
+			}
+			px = evaluateCalculation(calculation, environment);
+			return px === null ? null : px > 0 ? px : 0;
+		}
+
+		if (feature.values) {
+			if (tokens.length === 1 && first.type === "ident") {
+				unit = first.value.toLowerCase();
+				return feature.values.indexOf(unit) === -1 ? null : unit;
+			}
+			return null;
+		}
+
+		// <ratio> = <number [0,∞]> [ / <number [0,∞]> ]?
+		if (feature.valueType === "ratio" && tokens.length === 3) {
+			return first.type === "number" && tokens[ 2 ].type === "number" &&
+			       first.value >= 0 && tokens[ 2 ].value > 0 ?
+			       first.value / tokens[ 2 ].value : null;
+		}
+		// (A resolution may also be infinite, for a display with no pixels to count.)
+		// https://drafts.csswg.org/mediaqueries-4/#resolution
+		if (feature.valueType === "resolution" && tokens.length === 1 &&
+		    isKeyword(first, "infinite")) {
+			return Infinity;
+		}
+		if (tokens.length !== 1 || (first.type !== "number" && first.type !== "dimension") ||
+		    first.value < 0) {
+			return null;
+		}
+
+		switch (feature.valueType) {
+		case "length":
+			return first.type === "number" && first.value !== 0 ? null :
+			       lengthToPixels(first.value, unit, environment);
+		case "ratio":
+			return first.type === "number" ? first.value : null;
+		case "resolution":
+			return first.type === "dimension" && resolutionUnits.hasOwnProperty(unit) ?
+			       first.value * resolutionUnits[ unit ] : null;
+		case "integer":
+			return first.type === "number" && first.numberType === "integer" ? first.value : null;
+
+		// <mq-boolean> = <integer [0,1]>
+		case "mq-boolean":
+			return first.type === "number" && first.numberType === "integer" &&
+			       first.value <= 1 ? first.value : null;
+		}
+		return null;
+	}
+
+	// (Whether the catalog in mediaFeatures has a feature, with or without its min-
+	// or max- prefix.)
+	// (A vendor-prefixed name starts with a dash and a vendor, as -webkit- does.)
+	// https://drafts.csswg.org/css2/#vendor-keywords
+	function isVendorPrefixed(name) {
+		return /^-[a-z0-9]+-/i.test(name);
+	}
+
+	// (Checks a media feature node against the catalog in mediaFeatures. Returns a
+	// message saying what is wrong with it, or null if nothing is.)
+	function validateMediaFeature(node) {
+		var i, values,
+		    prefix = /^(min|max)-/.exec(node.name),
+		    name = prefix ? node.name.slice(4) : node.name,
+		    feature = mediaFeatures.hasOwnProperty(name) && mediaFeatures[ name ],
+		    environment = createEnvironment({});
+
+		if (!feature) {
+			return isVendorPrefixed(node.name) ?
+			       node.name + " is vendor-prefixed, so only matchMedia can evaluate it" :
+			       "unknown media feature " + node.name;
+		}
+		if (prefix && feature.type !== "range") {
+			return name + " is not a range feature, so it takes no " + prefix[ 0 ] + " prefix";
+		}
+
+		if (node.syntax === "boolean") {
+			return prefix ? node.name + " needs a value" : null;
+		}
+		if (node.syntax === "range") {
+			if (prefix) {
+				return "range syntax takes " + name + ", not " + node.name;
+			}
+			if (feature.type !== "range") {
+				return name + " is not a range feature, so it takes no range syntax";
+			}
+			values = [];
+			for (i = 0; i < node.comparisons.length; i++) {
+				values.push(node.comparisons[ i ].value);
+			}
+		} else {
+			values = [ node.value ];
+		}
+
+		for (i = 0; i < values.length; i++) {
+			if (parseMediaFeatureValue(values[ i ], feature, environment) === null) {
+				return "invalid value for " + node.name + ": " + values[ i ] + " (expected " +
+				       (feature.values ? "one of " + feature.values.join(", ") :
+				                         valueTypeDescriptions[ feature.valueType ]) + ")";
+			}
+		}
+		return null;
+	}
+
+	function compare(actual, operator, value) {
+		switch (operator) {
+		case "<":
+			return actual < value;
+		case "<=":
+			return actual <= value;
+		case ">":
+			return actual > value;
+		case ">=":
+			return actual >= value;
+		}
+		return actual === value;
+	}
+
+	// (Evaluates a media feature against an environment that has been through
+	// createEnvironment(). Returns true, false, or null for unknown: a feature that
+	// validateMediaFeature() finds anything wrong with.)
+	// https://drafts.csswg.org/mediaqueries-4/#mq-features
+	function evaluateMediaFeature(node, environment) {
+		var i, value,
+		    prefix = /^(min|max)-/.exec(node.name),
+		    name = prefix ? node.name.slice(4) : node.name,
+		    feature = mediaFeatures[ name ],
+		    actual = environment[ camelCase(name) ];
+
+		if (validateMediaFeature(node)) {
+			return null;
+		}
+
+		// (In a boolean context a feature matches unless it is zero or none.)
+		// https://drafts.csswg.org/mediaqueries-4/#mq-boolean-context
+		if (node.syntax === "boolean") {
+			return actual !== 0 && actual !== "none" && actual !== "no-preference";
+		}
+
+		// (Range syntax is the same comparisons as min- and max- written out.)
+		// https://drafts.csswg.org/mediaqueries-4/#mq-range-context
+		if (node.syntax === "range") {
+			for (i = 0; i < node.comparisons.length; i++) {
+				value = parseMediaFeatureValue(node.comparisons[ i ].value, feature, environment);
+				if (!compare(actual, node.comparisons[ i ].operator, value)) {
+					return false;
+				}
+			}
+			return true;
+		}
+
+		value = parseMediaFeatureValue(node.value, feature, environment);
+		if (feature.ordered) {
+			return feature.values.indexOf(actual) >= feature.values.indexOf(value);
+		}
+		if (!prefix) {
+			return actual === value;
+		}
+		return compare(actual, prefix[ 1 ] === "min" ? ">=" : "<=", value);
+	}
+
+	// (Media Queries Level 4 evaluates conditions to true, false or unknown, here
+	// null. <general-enclosed> is unknown, "not unknown" is unknown, and unknown
+	// only decides an "and" or an "or" when nothing else in it does. Features are
+	// left to evaluateFeature, which answers in the same three values.)
+	// https://drafts.csswg.org/mediaqueries-4/#evaluating
+	function evaluateMediaCondition(node, evaluateFeature) {
+		var i, result,
+		    unknown = false;
+
+		switch (node.type) {
+		case "not":
+			result = evaluateMediaCondition(node.condition, evaluateFeature);
+			return result === null ? null : !result;
+		case "and":
+		case "or":
+			for (i = 0; i < node.conditions.length; i++) {
+				result = evaluateMediaCondition(node.conditions[ i ], evaluateFeature);
+				if (result === null) {
+					unknown = true;
+				} else if (result === (node.type === "or")) {
+					return result;
+				}
+			}
+			return unknown ? null : node.type === "and";
+		case "feature":
+			return evaluateFeature(node);
+		case "custom-media":
+			return node.condition ? evaluateMediaCondition(node.condition, evaluateFeature) : null;
+		case "constant":
+			return node.value;
+		}
+		return null;
+	}
+
+	function builtInFeatureEvaluator(environment) {
+		return function(node) {
+			return evaluateMediaFeature(node, environment);
+		};
+	}
+
+	// (Evaluates a media condition, given as text or as a parse tree, against an
+	// environment description such as { width: 800, height: 600, resolution: 2 }.
+	// Returns true, false, or null when the result is unknown. A condition that
+	// doesn't parse is false.)
+	function evaluate(condition, environment) {
+		if (typeof condition === "string") {
+			condition = parseMediaCondition(parseCommaSeparatedComponentValues(condition)[ 0 ]);
+		}
+		if (condition) {
+			condition = resolveCustomMedia(condition, {});
+		}
+		if (!condition || condition.type === "invalid") {
+			return false;
+		}
+		return evaluateMediaCondition(condition,
+		                              builtInFeatureEvaluator(createEnvironment(environment)));
+	}
+
+	function logParseError(strValue, message) {
+		if (window.console && console.log) {
+			console.log("Parse error: " + strValue + (message ? " (" + message + ")" : ""));
+		}
+	}
+
+	function matchMediaQuery(media, matchMedia) {
+		return !!matchMedia(media).matches;
+	}
+
+	// (Engines without Media Queries Level 4 don't know range syntax, so a range
+	// comparison becomes a min- or max- feature, or the opposite one negated for
+	// < and >. Conditions are always evaluated here, not by matchMedia, which only
+	// gets one feature at a time: that way "or" and unknown work in any engine.)
+	// https://drafts.csswg.org/mediaqueries-4/#mq-range-context
+	function matchMediaFeature(node, matchMedia) {
+		var i, operator, prefix;
+
+		// (The catalog decides which features and values are valid, not the engine, so
+		// the result doesn't depend on the browser. A vendor-prefixed feature, such as
+		// -webkit-min-device-pixel-ratio, is the exception, and is left to the engine
+		// as written.)
+		if (isVendorPrefixed(node.name)) {
+			return matchMediaQuery(stringifyMediaCondition(node), matchMedia);
+		}
+		if (validateMediaFeature(node)) {
+			return null;
+		}
+		if (node.syntax !== "range") {
+			return matchMediaQuery(stringifyMediaCondition(node), matchMedia);
+		}
+		for (i = 0; i < node.comparisons.length; i++) {
+			operator = node.comparisons[ i ].operator;
+			prefix = operator === "=" ? "" :
+			         operator === ">=" || operator === "<" ? "min-" : "max-";
+			if (matchMediaQuery("(" + prefix + node.name + ": " +
+			                    node.comparisons[ i ].value + ")", matchMedia) ===
+			    (operator === "<" || operator === ">")) {
+				return false;
+			}
+		}
+		return true;
+	}
+
+	// (The message for the first media feature in a condition that is invalid, to
+	// explain why the condition is unknown, or null if there is none.)
+	function findInvalidMediaFeature(node) {
+		var i, message;
+
+		switch (node.type) {
+		case "feature":
+			return validateMediaFeature(node);
+		case "not":
+		case "custom-media":
+			return node.condition ? findInvalidMediaFeature(node.condition) : null;
+		case "and":
+		case "or":
+			for (i = 0; i < node.conditions.length; i++) {
+				message = findInvalidMediaFeature(node.conditions[ i ]);
+				if (message) {
+					return message;
+				}
+			}
+		}
+		return null;
+	}
+
+	function windowMatchMedia(media) {
+		return window.matchMedia(media);
+	}
+
+	// (Decides whether the media condition of a <source-size> matches: true, false
+	// or null for unknown. options.evaluate is handed the parse tree of the
+	// condition and the whole <source-size>, options.environment has the built-in
+	// evaluator decide against it, and otherwise options.matchMedia or
+	// window.matchMedia is asked about each media feature in the condition.)
+	function matchesMediaCondition(condition, sourceSize, options, environment) {
+		var result, matchMedia;
+
+		if (options.evaluate) {
+			result = options.evaluate(condition, sourceSize);
+			return result === null ? null : !!result;
+		}
+		if (environment) {
+			return evaluateMediaCondition(condition, builtInFeatureEvaluator(environment));
+		}
+		matchMedia = options.matchMedia || (window.matchMedia && windowMatchMedia);
+		if (!matchMedia) {
+			throw new Error("parseSizes: window.matchMedia is not available here, " +
+			                "pass options.matchMedia or options.evaluate");
+		}
+		return evaluateMediaCondition(condition, function(node) {
+			return matchMediaFeature(node, matchMedia);
+		});
+	}
+
+	// BREAKPOINTS
+
+	// (Adds the breakpoints in a media condition tree to a list, skipping any that
+	// are already in it. Only features with a length value are breakpoints.)
+	function collectBreakpoints(node, environment, list) {
+		var i, j, name, comparisons, breakpoint;
+
+		switch (node.type) {
+		case "not":
+		case "custom-media":
+			if (node.condition) {
+				collectBreakpoints(node.condition, environment, list);
+			}
+			return;
+		case "and":
+		case "or":
+			for (i = 0; i < node.conditions.length; i++) {
+				collectBreakpoints(node.conditions[ i ], environment, list);
+			}
+			return;
+		case "feature":
+			break;
+		default:
+			return;
+		}
+
+		name = featureName(node);
+		if (validateMediaFeature(node) || mediaFeatures[ name ].valueType !== "length") {
+			return;
+		}
+
+		comparisons = featureComparisons(node);
+		for (i = 0; i < comparisons.length; i++) {
+			breakpoint = {
+				feature: name,
+				op: comparisons[ i ].operator,
+				value: comparisons[ i ].value.toLowerCase(),
+				px: parseMediaFeatureValue(comparisons[ i ].value, mediaFeatures[ name ],
+				                           environment)
+			};
+			for (j = 0; j < list.length; j++) {
+				if (list[ j ].feature === breakpoint.feature && list[ j ].op === breakpoint.op &&
+				    list[ j ].value === breakpoint.value) {
+					break;
+				}
+			}
+			if (j === list.length) {
+				list.push(breakpoint);
+			}
+		}
+	}
+
+	// (Lists the viewport breakpoints a sizes attribute depends on, from the parse
+	// trees of its media conditions: every comparison of width, height or another
+	// length feature, as { feature, op, value, px }, in the order they first appear.
+	// op is one of <, <=, =, >= and >, px is the value in CSS pixels (with viewport
+	// units taken from options.environment), and custom media is resolved as it is
+	// for evaluating. Invalid entries and features are left out.)
+	function breakpoints(sourceSizes, options) {
+		var i, sourceSize, condition,
+		    breakpointOptions = options || {},
+		    environment = createEnvironment(breakpointOptions.environment),
+		    result = [];
+
+		if (typeof sourceSizes === "string") {
+			sourceSizes = parse(sourceSizes, options);
+		}
+
+		for (i = 0; i < sourceSizes.length; i++) {
+			sourceSize = sourceSizes[ i ];
+			if (!sourceSize.condition || sourceSize.size.type === "invalid") {
+				continue;
+			}
+			condition = resolveCustomMedia(sourceSize.condition, breakpointOptions);
+			if (condition.type !== "invalid") {
+				collectBreakpoints(condition, environment, result);
+			}
+		}
+
+		return result;
+	}
+
+	// VIEWPORT ANALYSIS
+
+	function entryText(sourceSize) {
+		return sourceSize.media ? sourceSize.media + " " + sourceSize.size.text :
+		                          sourceSize.size.text;
+	}
+
+	function featureName(node) {
+		return node.name.replace(/^(min|max)-/, "");
+	}
+
+	// (The comparisons a feature makes, with min- and max- as >= and <=, and a plain
+	// feature as =. A feature in a boolean context makes none.)
+	function featureComparisons(node) {
+		var prefix = /^(min|max)-/.exec(node.name);
+
+		if (node.syntax === "range") {
+			return node.comparisons;
+		}
+		if (node.syntax === "boolean") {
+			return [];
+		}
+		return [ { operator: !prefix ? "=" : prefix[ 1 ] === "min" ? ">=" : "<=",
+		           value: node.value } ];
+	}
+
+	// (The unit of a length, lowercased, or "" if it is not a dimension.)
+	function lengthUnit(text) {
+		var tokens = withoutWhitespace(tokenize(text));
+
+		return tokens.length === 1 && tokens[ 0 ].unit ? tokens[ 0 ].unit.toLowerCase() : "";
+	}
+
+	// (Whether a value has a viewport unit anywhere in it, math functions included.)
+	function hasViewportUnit(text) {
+		var i,
+		    tokens = tokenize(text);
+
+		for (i = 0; i < tokens.length; i++) {
+			if (tokens[ i ].type === "dimension" &&
+			    viewportLengthUnits.hasOwnProperty(tokens[ i ].unit.toLowerCase())) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	// (Adds the valid media features of a condition to a list.)
+	function collectMediaFeatures(node, list) {
+		var i;
+
+		switch (node.type) {
+		case "feature":
+			if (!validateMediaFeature(node)) {
+				list.push(node);
+			}
+			return;
+		case "not":
+		case "custom-media":
+			if (node.condition) {
+				collectMediaFeatures(node.condition, list);
+			}
+			return;
+		case "and":
+		case "or":
+			for (i = 0; i < node.conditions.length; i++) {
+				collectMediaFeatures(node.conditions[ i ], list);
+			}
+		}
+	}
+
+	// (Whether a valid feature is decided by the viewport width alone.)
+	function isWidthFeature(node) {
+		var i,
+		    comparisons = featureComparisons(node);
+
+		if (featureName(node) !== "width") {
+			return false;
+		}
+		for (i = 0; i < comparisons.length; i++) {
+			if (hasViewportUnit(comparisons[ i ].value)) {
+				return false;
+			}
+		}
+		return true;
+	}
+
+	// (Whether a valid feature is decided by the viewport width and height. A vw or
+	// vh value on its own only moves a boundary through the origin; any other use of
+	// a viewport unit can't be read.)
+	function isPlaneFeature(node) {
+		var i, unit,
+		    comparisons = featureComparisons(node);
+
+		switch (featureName(node)) {
+		case "aspect-ratio":
+		case "orientation":
+			return true;
+		case "width":
+		case "height":
+			for (i = 0; i < comparisons.length; i++) {
+				unit = lengthUnit(comparisons[ i ].value);
+				if (hasViewportUnit(comparisons[ i ].value) && unit !== "vw" && unit !== "vh") {
+					return false;
+				}
+			}
+			return true;
+		}
+		return false;
+	}
+
+	// (Kleene "and" or "or" of two results: false decides an "and", true an "or",
+	// and otherwise unknown wins.)
+	function combineResult(x, y, isOr) {
+		var decisive = isOr ? resultTrue : resultFalse;
+
+		if (x === decisive || y === decisive) {
+			return decisive;
+		}
+		return x === resultUnknown || y === resultUnknown ? resultUnknown : x;
+	}
+
+	// (The same for two masks of possible results, result by result.)
+	function combineResults(a, b, isOr) {
+		var x, y,
+		    mask = 0;
+
+		for (x = resultTrue; x <= resultUnknown; x *= 2) {
+			for (y = resultTrue; y <= resultUnknown; y *= 2) {
+				if ((a & x) && (b & y)) {
+					mask |= combineResult(x, y, isOr);
+				}
+			}
+		}
+		return mask;
+	}
+
+	// (The results a media condition may have, as a mask. decideFeature gives the
+	// results each valid feature may have.)
+	function possibleResults(node, decideFeature) {
+		var i, mask;
+
+		switch (node.type) {
+		case "not":
+			mask = possibleResults(node.condition, decideFeature);
+			return (mask & resultTrue ? resultFalse : 0) | (mask & resultFalse ? resultTrue : 0) |
+			       (mask & resultUnknown);
+		case "custom-media":
+			return node.condition ? possibleResults(node.condition, decideFeature) : resultUnknown;
+		case "and":
+		case "or":
+			mask = possibleResults(node.conditions[ 0 ], decideFeature);
+			for (i = 1; i < node.conditions.length; i++) {
+				mask = combineResults(mask, possibleResults(node.conditions[ i ], decideFeature),
+				                      node.type === "or");
+			}
+			return mask;
+		case "feature":
+			return validateMediaFeature(node) ? resultUnknown : decideFeature(node);
+		case "constant":
+			return node.value ? resultTrue : resultFalse;
+		}
+		return resultUnknown;
+	}
+
+	// (An environment for a viewport of the given width and height, if any, that
+	// keeps the font size of options.environment.)
+	function analysisEnvironment(options, width, height) {
+		return createEnvironment({
+			width: width,
+			height: height,
+			rootFontSize: options.environment && options.environment.rootFontSize
+		});
+	}
+
+	function sortNumbers(numbers) {
+		var i,
+		    result = [];
+
+		for (i = 0; i < numbers.length; i++) {
+			if (result.indexOf(numbers[ i ]) === -1) {
+				result.push(numbers[ i ]);
+			}
+		}
+		return result.sort(function(a, b) {
+			return a - b;
+		});
+	}
+
+	// (Splits the viewport widths from 0 up into the ranges no width feature tells
+	// apart: each breakpoint on its own, and the open ranges between them. A media
+	// condition has the same results all over each one, so evaluating it at one
+	// width in it does for the whole range.)
+	function viewportWidthCells(features, options) {
+		var i, j, comparisons, width,
+		    widths = [],
+		    cells = [],
+		    from = 0,
+		    fromClosed = true;
+
+		for (i = 0; i < features.length; i++) {
+			comparisons = isWidthFeature(features[ i ]) ? featureComparisons(features[ i ]) : [];
+			for (j = 0; j < comparisons.length; j++) {
+				widths.push(parseMediaFeatureValue(comparisons[ j ].value, mediaFeatures.width,
+				                                   analysisEnvironment(options)));
+			}
+		}
+		widths = sortNumbers(widths);
+
+		for (j = 0; j < widths.length; j++) {
+			width = widths[ j ];
+			if (width > from) {
+				cells.push({ from: from, to: width, fromClosed: fromClosed, toClosed: false,
+				             environment: analysisEnvironment(options, (from + width) / 2) });
+			}
+			cells.push({ from: width, to: width, fromClosed: true, toClosed: true,
+			             environment: analysisEnvironment(options, width) });
+			from = width;
+			fromClosed = false;
+		}
+		cells.push({ from: from, to: Infinity, fromClosed: fromClosed, toClosed: false,
+		             environment: analysisEnvironment(options, from + 1) });
+		return cells;
+	}
+
+	// (The open intervals between sorted numbers, from 0 up.)
+	function openIntervals(numbers) {
+		var i,
+		    result = [],
+		    from = 0;
+
+		for (i = 0; i < numbers.length; i++) {
+			if (numbers[ i ] > from) {
+				result.push({ from: from, to: numbers[ i ] });
+				from = numbers[ i ];
+			}
+		}
+		result.push({ from: from, to: Infinity });
+		return result;
+	}
+
+	// (Splits the plane of viewport widths and heights along the lines the plane
+	// features draw on it: widths, heights, and aspect ratios, which are lines
+	// through the origin. Each region left between them is a range of widths, a
+	// range of heights and a range of aspect ratios at once, and a media condition
+	// has the same results all over it, so evaluating it at one viewport in it does
+	// for the whole region. The lines themselves are left out.)
+	function viewportPlaneCells(features, options) {
+		var i, j, k, name, comparisons, unit, value, widthRanges, heightRanges, ratioRanges,
+		    from, to, ratio, height,
+		    widths = [],
+		    heights = [],
+		    ratios = [],
+		    cells = [],
+		    environment = analysisEnvironment(options),
+		    percentEnvironment = analysisEnvironment(options, 100, 100);
+
+		for (i = 0; i < features.length; i++) {
+			name = featureName(features[ i ]);
+			comparisons = isPlaneFeature(features[ i ]) ? featureComparisons(features[ i ]) : [];
+			if (name === "orientation") {
+				ratios.push(1);
+				continue;
+			}
+			for (j = 0; j < comparisons.length; j++) {
+				unit = lengthUnit(comparisons[ j ].value);
+				value = parseMediaFeatureValue(comparisons[ j ].value, mediaFeatures[ name ],
+				                               viewportLengthUnits.hasOwnProperty(unit) ?
+				                               percentEnvironment : environment);
+				if (name === "aspect-ratio") {
+					ratios.push(value);
+				} else if (!viewportLengthUnits.hasOwnProperty(unit)) {
+					(name === "width" ? widths : heights).push(value);
+				} else if (name === "width" && unit === "vh") {
+					ratios.push(value / 100);
+				} else if (name === "height" && unit === "vw" && value > 0) {
+					ratios.push(100 / value);
+				}
+			}
+		}
+		widthRanges = openIntervals(sortNumbers(widths));
+		heightRanges = openIntervals(sortNumbers(heights));
+		ratioRanges = openIntervals(sortNumbers(ratios));
+
+		for (i = 0; i < widthRanges.length; i++) {
+			for (j = 0; j < heightRanges.length; j++) {
+				for (k = 0; k < ratioRanges.length; k++) {
+					// (The aspect ratios the width and height ranges allow, within this range.)
+					from = Math.max(widthRanges[ i ].from / heightRanges[ j ].to,
+					                ratioRanges[ k ].from);
+					to = Math.min(widthRanges[ i ].to / heightRanges[ j ].from,
+					              ratioRanges[ k ].to);
+					if (!(from < to)) {
+						continue;
+					}
+					ratio = to === Infinity ? from + 1 : (from + to) / 2;
+					from = Math.max(heightRanges[ j ].from, widthRanges[ i ].from / ratio);
+					to = Math.min(heightRanges[ j ].to, widthRanges[ i ].to / ratio);
+					height = to === Infinity ? from + 1 : (from + to) / 2;
+					cells.push({
+						width: widthRanges[ i ],
+						height: heightRanges[ j ],
+						aspectRatio: ratioRanges[ k ],
+						environment: analysisEnvironment(options, ratio * height, height)
+					});
+				}
+			}
+		}
+		return cells;
+	}
+
+	// (Decides the features that isDecided() accepts against an environment, and
+	// leaves any other possibly true and possibly false.)
+	function featureDecider(isDecided, environment) {
+		return function(node) {
+			if (!isDecided(node)) {
+				return resultTrue | resultFalse;
+			}
+			return evaluateMediaFeature(node, environment) ? resultTrue : resultFalse;
+		};
+	}
+
+	// (The valid entries of a sizes attribute, with custom media resolved, and the
+	// cells of the viewport that split() makes of their features. Each entry has
+	// the masks of the results its condition may have in each cell, in masks.)
+	// (An auto size only counts as the first entry of a sizes attribute that starts
+	// with it, and with options.layoutWidth to give the width, which it then is at
+	// every viewport. Anywhere else it is skipped, as detailed() skips it.)
+	function readViewport(sourceSizes, options, split, isDecided) {
+		var i, j, sourceSize, condition, cells,
+		    readingOptions = options || {},
+		    hasLayoutWidth = typeof readingOptions.layoutWidth === "function",
+		    entries = [],
+		    features = [];
+
+		if (typeof sourceSizes === "string") {
+			sourceSizes = parse(sourceSizes, options);
+		}
+
+		for (i = 0; i < sourceSizes.length; i++) {
+			sourceSize = sourceSizes[ i ];
+			condition = sourceSize.condition &&
+			            resolveCustomMedia(sourceSize.condition, readingOptions);
+			if (sourceSize.size.type === "invalid" || (condition && condition.type === "invalid")) {
+				continue;
+			}
+			if (sourceSize.size.type === "auto" &&
+			    (!sourceSize.size.allowsAutoSizes || !hasLayoutWidth)) {
+				continue;
+			}
+			entries.push({ index: sourceSize.index, sourceSize: sourceSize, condition: condition,
+			               masks: [] });
+			if (condition) {
+				collectMediaFeatures(condition, features);
+			}
+		}
+
+		cells = split(features, readingOptions);
+		for (i = 0; i < entries.length; i++) {
+			condition = entries[ i ].condition;
+			for (j = 0; j < cells.length; j++) {
+				entries[ i ].masks.push(condition ?
+				                        possibleResults(condition,
+				                                        featureDecider(isDecided,
+				                                                       cells[ j ].environment)) :
+				                        resultTrue);
+			}
+		}
+
+		return { entries: entries, cells: cells };
+	}
+
+	// (The first valid feature in a condition that isDecided() doesn't accept.)
+	function findUndecidedFeature(node, isDecided) {
+		var i, feature;
+
+		switch (node.type) {
+		case "feature":
+			return !validateMediaFeature(node) && !isDecided(node) ? node : null;
+		case "not":
+		case "custom-media":
+			return node.condition ? findUndecidedFeature(node.condition, isDecided) : null;
+		case "and":
+		case "or":
+			for (i = 0; i < node.conditions.length; i++) {
+				feature = findUndecidedFeature(node.conditions[ i ], isDecided);
+				if (feature) {
+					return feature;
+				}
+			}
+		}
+		return null;
+	}
+
+	// (The entries that may or may not match in some cell, whatever the viewport,
+	// as { index, entry, reason }.)
+	function findInexpressibleEntries(entries, isDecided, reading) {
+		var i, j, mask, feature,
+		    inexpressible = [];
+
+		for (i = 0; i < entries.length; i++) {
+			for (j = 0; j < entries[ i ].masks.length; j++) {
+				mask = entries[ i ].masks[ j ];
+				if ((mask & resultTrue) && mask !== resultTrue) {
+					feature = findUndecidedFeature(entries[ i ].condition, isDecided);
+					inexpressible.push({
+						index: entries[ i ].index,
+						entry: entryText(entries[ i ].sourceSize),
+						reason: (feature ? stringifyMediaCondition(feature) :
+						                   "its media condition") +
+						        " can't be read as " + reading
+					});
+					break;
+				}
+			}
+		}
+		return inexpressible;
+	}
+
+	// (The size that applies in a cell, and the index of its entry: -1 for the
+	// 100vw fallback, and null for both where an entry may or may not match before
+	// any entry that surely does.)
+	function findApplicableEntry(entries, cell) {
+		var i, mask;
+
+		for (i = 0; i < entries.length; i++) {
+			mask = entries[ i ].masks[ cell ];
+			if (mask === resultTrue) {
+				return { size: entries[ i ].sourceSize.size.text, index: entries[ i ].index };
+			}
+			if (mask & resultTrue) {
+				return { size: null, index: null };
+			}
+		}
+		return { size: "100vw", index: -1 };
+	}
+
+	function listEntries(indexes) {
+		return (indexes.length === 1 ? "entry " : "entries ") + indexes.join(", ");
+	}
+
+	// (Finds the entries of a sizes attribute that can never be used, by reading
+	// the width features in their media conditions as ranges of viewport widths.
+	// Returns a list of { index, entry, type, reason }, where type is
+	// "unreachable" for an entry after one without a media condition, where
+	// parsing stops, "always-false" for one whose condition is never true, and
+	// "shadowed" for one that earlier entries always match before. Unreachable and
+	// shadowed entries also have the indexes of the entries responsible in by.
+	// Features other than width may be true or false as far as the analysis goes,
+	// so it only reports what holds whatever they are. Invalid entries are left
+	// to detailed().)
+	function analyze(sourceSizes, options) {
+		var i, j, k, condition, masks, matches, by, issue,
+		    reading = readViewport(sourceSizes, options, viewportWidthCells, isWidthFeature),
+		    entries = reading.entries,
+		    cells = reading.cells,
+		    earlier = [],
+		    issues = [],
+		    stoppedAt = -1,
+		    stoppedAtAuto = false;
+
+		for (i = 0; i < entries.length; i++) {
+			condition = entries[ i ].condition;
+			masks = entries[ i ].masks;
+			issue = { index: entries[ i ].index, entry: entryText(entries[ i ].sourceSize) };
+
+			if (stoppedAt !== -1) {
+				issue.type = "unreachable";
+				issue.by = [ stoppedAt ];
+				issue.reason = "entry " + stoppedAt + (stoppedAtAuto ?
+				               " is auto, which options.layoutWidth gives the width for" :
+				               " has no media condition") + ", so parsing stops there";
+				issues.push(issue);
+				continue;
+			}
+
+			matches = 0;
+			for (j = 0; j < cells.length; j++) {
+				matches |= masks[ j ];
+			}
+
+			// (For each cell where this entry may match, the first earlier entry that
+			// always matches there, if every such cell has one.)
+			by = [];
+			for (j = 0; j < cells.length && by; j++) {
+				if (!(masks[ j ] & resultTrue)) {
+					continue;
+				}
+				for (k = 0; k < earlier.length && earlier[ k ].masks[ j ] !== resultTrue; k++) {}
+				if (k === earlier.length) {
+					by = null;
+				} else if (by.indexOf(earlier[ k ].index) === -1) {
+					by.push(earlier[ k ].index);
+				}
+			}
+
+			if (!(matches & resultTrue)) {
+				issue.type = "always-false";
+				issue.reason = matches !== resultUnknown ?
+				               "its media condition is false at every viewport width" :
+				               "its media condition is always unknown";
+				if (matches === resultUnknown && findInvalidMediaFeature(condition)) {
+					issue.reason += " (" + findInvalidMediaFeature(condition) + ")";
+				}
+				issues.push(issue);
+			} else if (by) {
+				by.sort(function(a, b) {
+					return a - b;
+				});
+				issue.type = "shadowed";
+				issue.by = by;
+				issue.reason = listEntries(by) +
+				               (by.length === 1 ? " always matches" : " always match") +
+				               " first wherever this one would";
+				issues.push(issue);
+			}
+
+			earlier.push({ index: entries[ i ].index, masks: masks });
+			if (!condition) {
+				stoppedAt = entries[ i ].index;
+				stoppedAtAuto = entries[ i ].sourceSize.size.type === "auto";
+			}
+		}
+
+		return issues;
+	}
+
+	// (Maps a sizes attribute to the ranges of viewport widths, from 0 up, and the
+	// size that applies in each one, by reading the width features in its media
+	// conditions as ranges. Returns { intervals, inexpressible }: intervals are
+	// { from, to, fromClosed, toClosed, size, index }, with to Infinity for the last
+	// one, and index -1 where no entry matches and the size is the 100vw fallback.
+	// Entries whose conditions can't be read as ranges of widths, because they
+	// depend on other features or use viewport units, are listed in inexpressible as
+	// { index, entry, reason }, and where one of them might apply before any entry
+	// that surely does, the size and index of the interval are null.)
+	function intervals(sourceSizes, options) {
+		var j, applicable, last,
+		    reading = readViewport(sourceSizes, options, viewportWidthCells, isWidthFeature),
+		    cells = reading.cells,
+		    result = [];
+
+		for (j = 0; j < cells.length; j++) {
+			applicable = findApplicableEntry(reading.entries, j);
+			last = result[ result.length - 1 ];
+			if (last && last.index === applicable.index) {
+				last.to = cells[ j ].to;
+				last.toClosed = cells[ j ].toClosed;
+			} else {
+				result.push({
+					from: cells[ j ].from,
+					to: cells[ j ].to,
+					fromClosed: cells[ j ].fromClosed,
+					toClosed: cells[ j ].toClosed,
+					size: applicable.size,
+					index: applicable.index
+				});
+			}
+		}
+
+		return {
+			intervals: result,
+			inexpressible: findInexpressibleEntries(reading.entries, isWidthFeature,
+			                                        "a range of viewport widths")
+		};
+	}
+
+	// (Joins regions that are the same in every way but key, where they meet along it.)
+	function joinRegions(regions, key) {
+		var i, j, region, other,
+		    result = [];
+
+		for (i = 0; i < regions.length; i++) {
+			region = regions[ i ];
+			for (j = 0; j < result.length; j++) {
+				other = result[ j ];
+				if (other.index === region.index && other[ key ].to === region[ key ].from &&
+				    (key === "width" || (other.width.from === region.width.from &&
+				                         other.width.to === region.width.to)) &&
+				    (key === "height" || (other.height.from === region.height.from &&
+				                          other.height.to === region.height.to)) &&
+				    (key === "aspectRatio" || (other.aspectRatio.from === region.aspectRatio.from &&
+				                               other.aspectRatio.to === region.aspectRatio.to))) {
+					other[ key ] = { from: other[ key ].from, to: region[ key ].to };
+					break;
+				}
+			}
+			if (j === result.length) {
+				result.push(region);
+			}
+		}
+		return result;
+	}
+
+	// (Maps a sizes attribute to regions of the plane of viewport widths and heights
+	// and the size that applies in each one, reading width, height, aspect-ratio and
+	// orientation features. Returns { regions, inexpressible }: regions are
+	// { width, height, aspectRatio, size, index }, where width, height and
+	// aspectRatio are open ranges { from, to } that the region is in all of at
+	// once. An aspect ratio of { from: 0, to: Infinity } is any that the width and
+	// height allow. The lines between regions, where the viewport is exactly at a
+	// breakpoint, are left out. size, index and inexpressible are as for intervals().)
+	function regions(sourceSizes, options) {
+		var j, applicable, cell,
+		    reading = readViewport(sourceSizes, options, viewportPlaneCells, isPlaneFeature),
+		    cells = reading.cells,
+		    result = [];
+
+		for (j = 0; j < cells.length; j++) {
+			applicable = findApplicableEntry(reading.entries, j);
+			cell = cells[ j ];
+			result.push({
+				width: cell.width,
+				height: cell.height,
+				aspectRatio: cell.aspectRatio,
+				size: applicable.size,
+				index: applicable.index
+			});
+		}
+
+		result = joinRegions(result, "aspectRatio");
+		for (j = 0; j < result.length; j++) {
+			// (An aspect ratio range that takes in every one the width and height allow
+			// says nothing.)
+			if (result[ j ].aspectRatio.from <= result[ j ].width.from / result[ j ].height.to &&
+			    result[ j ].aspectRatio.to >= result[ j ].width.to / result[ j ].height.from) {
+				result[ j ].aspectRatio = { from: 0, to: Infinity };
+			}
+		}
+		result = joinRegions(joinRegions(result, "height"), "width");
+
+		return {
+			regions: result,
+			inexpressible: findInexpressibleEntries(reading.entries, isPlaneFeature,
+			                                        "a region of viewport widths and heights")
+		};
+	}
+
+	// PARSING AND EVALUATING A SIZES ATTRIBUTE
+
+	// (Works out an auto size: { px } with the width of the image, or { message }
+	// saying why auto doesn't apply. The img allows auto-sizes if it is lazy loaded
+	// and its sizes attribute is "auto" or starts with "auto,", as parse() marks the
+	// size. Passing options.layoutWidth says the image is lazy loaded, and it gives
+	// the width, or null if the image is not being rendered.)
+	// https://html.spec.whatwg.org/multipage/images.html#allows-auto-sizes
+	function resolveAutoSize(size, options) {
+		var width;
+
+		if (!size.allowsAutoSizes) {
+			return { message: "auto only applies when sizes starts with it" };
+		}
+		if (typeof options.layoutWidth !== "function") {
+			return { message: "auto needs options.layoutWidth, for a lazy loaded image" };
+		}
+		width = options.layoutWidth();
+		if (typeof width !== "number" || !(width >= 0)) {
+			return { message: "layoutWidth() gave no width, so the image is not being rendered" };
+		}
+		return { px: width };
+	}
+
+	// (Runs the reference algorithm and records how the result was reached:
+	// the chosen size, the index and media condition of the entry it came
+	// from, whether the 100vw fallback was used, and every entry that was
+	// skipped on the way, with the reason. With an environment, it also gives the
+	// size in CSS pixels as px, and the px values of the lengths in the conditions
+	// it evaluated as breakpoints, as breakpoints() lists them.)
+	function parseSizesDetailed(strValue, options) {
+		var i, sourceSize, entry, condition, matches, message, size, px, autoSize,
+		    sourceSizes = parseEntries(strValue, options),
+		    evaluationOptions = options || {},
+		    environment = evaluationOptions.environment &&
+		                  createEnvironment(evaluationOptions.environment),
+		    sourceSizesLength = sourceSizes.length,
+		    skipped = [],
+		    breakpointList = [];
+
+		// For each unparsed size in unparsed sizes list:
+		for (i = 0; i < sourceSizesLength; i++) {
+			sourceSize = sourceSizes[ i ];
+
+			// 1. (...) If unparsed size is now empty, that is a parse error; continue to
+			// the next iteration of this algorithm.
+			// (A blank attribute has no entries to report, only the fallback.)
+			if (!sourceSize) {
+				if (sourceSizesLength > 1) {
+					logParseError(strValue);
+					skipped.push({ index: i, entry: "", reason: "empty" });
+				}
+				continue;
+			}
+			entry = entryText(sourceSize);
+
+			// 2. (...) Otherwise, there is a parse error; continue to the next iteration
+			// of this algorithm.
+			if (sourceSize.size.type === "invalid") {
+				logParseError(strValue, sourceSize.size.message);
+				skipped.push({ index: i, entry: entry, reason: "invalid-size" });
+				if (sourceSize.size.message) {
+					skipped[ skipped.length - 1 ].message = sourceSize.size.message;
+				}
+				continue;
+			}
+
+			// If size is auto, and img is not null, and img is being rendered, and img
+			// allows auto-sizes, then set size to the concrete object size width of img,
+			// in CSS pixels.
+			// If size is still auto, then it will be ignored; continue.
+			size = sourceSize.size.text;
+			px = environment ? sourceSizeValueToPixels(sourceSize.size, environment) : null;
+			if (sourceSize.size.type === "auto") {
+				autoSize = resolveAutoSize(sourceSize.size, evaluationOptions);
+				if (autoSize.message) {
+					skipped.push({ index: i, entry: entry, reason: "auto-ignored",
+					               message: autoSize.message });
+					continue;
+				}
+				px = autoSize.px;
+				size = px + "px";
+			}
+
+			// 3. Remove all consecutive <whitespace-token>s from the end of unparsed
+			// size. If unparsed size is now empty, return size and exit this algorithm.
+			// If this was not the last item in unparsed sizes list, that is a parse error.
+			if (!sourceSize.condition) {
+				if (i !== sourceSizesLength - 1) {
+					logParseError(strValue);
+				}
+				return {
+					size: size,
+					index: i,
+					condition: "",
+					fallback: false,
+					auto: sourceSize.size.type === "auto",
+					skipped: skipped,
+					px: px,
+					breakpoints: breakpointList
+				};
+			}
+			// 4. Parse the remaining component values in unparsed size as a
+			// <media-condition>. If it does not parse correctly, or it does parse
+			// correctly but the <media-condition> evaluates to false, continue to the
+			// next iteration of this algorithm.
+			// (matchMedia would accept a whole media query here, so "all", "print" or
+			// "only screen and (...)" must be rejected before it gets to see them. A
+			// media type is never part of a <media-condition>.)
+			// (So must custom media that isn't defined. The condition has every custom
+			// media query resolved to its definition before it is evaluated.)
+			condition = resolveCustomMedia(sourceSize.condition, evaluationOptions);
+			if (condition.type === "invalid") {
+				logParseError(strValue, condition.message);
+				skipped.push({ index: i, entry: entry, reason: "invalid-condition" });
+				if (condition.message) {
+					skipped[ skipped.length - 1 ].message = condition.message;
+				}
+				continue;
+			}
+			// (The built-in evaluator works out the px value of every length it compares
+			// the viewport with, and these are reported with the result.)
+			if (environment) {
+				collectBreakpoints(condition, environment, breakpointList);
+			}
+			// (An unknown result, from <general-enclosed> say, counts as false.)
+			matches = matchesMediaCondition(condition, sourceSize, evaluationOptions, environment);
+			if (matches === false) {
+				skipped.push({ index: i, entry: entry, reason: "condition-false" });
+				continue;
+			}
+			if (matches !== true) {
+				skipped.push({ index: i, entry: entry, reason: "condition-unknown" });
+				message = findInvalidMediaFeature(condition);
+				if (message) {
+					skipped[ skipped.length - 1 ].message = message;
+				}
+				continue;
+			}
+
+			// 5. Return size and exit this algorithm.
+			return {
+				size: size,
+				index: i,
+				condition: sourceSize.media,
+				fallback: false,
+				auto: sourceSize.size.type === "auto",
+				skipped: skipped,
+				px: px,
+				breakpoints: breakpointList
+			};
+		}
+
+		// If the above algorithm exhausts unparsed sizes list without returning a
+		// size value, return 100vw.
+		return {
+			size: "100vw",
+			index: -1,
+			condition: null,
+			fallback: true,
+			auto: false,
+			skipped: skipped,
+			px: environment ? lengthToPixels(100, "vw", environment) : null,
+			breakpoints: breakpointList
+		};
+	}
+
+	function parseSizes(strValue, options) {
+		return parseSizesDetailed(strValue, options).size;
+	}
+
+	// (Works out a <source-size-value>, such as parseSizes() returns, in CSS pixels
+	// against an environment description like options.environment, whose resolution
+	// is the device pixel ratio. Also takes a size from parse(). Returns null for
+	// anything that isn't one valid size, such as null or an object that isn't a size
+	// node, and for auto.)
+	function toPixels(sizeValue, environment) {
+		var sourceSizes;
+
+		if (typeof sizeValue === "string") {
+			sourceSizes = parse(sizeValue);
+			if (sourceSizes.length !== 1 || sourceSizes[ 0 ].condition) {
+				return null;
+			}
+			sizeValue = sourceSizes[ 0 ].size;
+		}
+		if (!sizeValue || typeof sizeValue !== "object" ||
+		    (sizeValue.type === "calc" && !sizeValue.calculation)) {
+			return null;
+		}
+		return sourceSizeValueToPixels(sizeValue, createEnvironment(environment));
+	}
+
+	// (The same algorithm, but returns an object describing how the size was
+	// chosen instead of the bare length string. Useful for debugging.)
+	parseSizes.detailed = parseSizesDetailed;
+
+	// (Parses without evaluating, so it needs no window.matchMedia.)
+	parseSizes.parse = parse;
+
+	parseSizes.stringify = stringify;
+
+	parseSizes.tokenize = tokenize;
+
+	parseSizes.evaluate = evaluate;
+
+	parseSizes.breakpoints = breakpoints;
+
+	parseSizes.analyze = analyze;
+
+	parseSizes.intervals = intervals;
+
+	parseSizes.regions = regions;
+
+	parseSizes.defineCustomMedia = defineCustomMedia;
+
+	parseSizes.loadCustomMedia = loadCustomMedia;
+
+	parseSizes.clearCustomMedia = clearCustomMedia;
+
+	parseSizes.toPixels = toPixels;
+
+	// (CommonJS for Node and bundlers, a global everywhere else.)
+	if (typeof module === "object" && module.exports) {
+		module.exports = parseSizes;
+	} else {
+		window.parseSizes = parseSizes;
+	}
+})(typeof window !== "undefined" ? window : this);
@@ -1,12 +1,14 @@
 // Keep tests in order, for sanity.
 QUnit.config.reorder = false;
 
-function runTest(test) {
-	var origAttr = test.sizes;
-	var parsed = parseSizes(origAttr);
+function runTest(test, testGroup) {
+	var origAttr = test.sizes,
+		// Groups may test one of the functions hanging off parseSizes instead.
+		fn = testGroup.method ? parseSizes[testGroup.method] : parseSizes,
+		parsed = fn(origAttr, test.options || testGroup.options);
 
 	QUnit.test( (test.desc || origAttr) , function( assert ) {
-		assert.equal(parsed, test.expect, "passed" );
+		assert.deepEqual(parsed, test.expect, "passed" );
 	});
 }
 
@@ -14,9 +16,14 @@ function runTestGroup(testGroup) {
 	// Group Tests
 	QUnit.module( testGroup.groupName );
 
+	// Groups that depend on global state, such as registered custom media, set it up first.
+	if (testGroup.setup) {
+		testGroup.setup();
+	}
+
 	var testArray = testGroup.testArray;
 	for (var j = 0; j < testArray.length; j++) {
-		runTest(testArray[j]);
+		runTest(testArray[j], testGroup);
 	}
 }
 
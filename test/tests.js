@@ -1,6 +1,7 @@
 // Very loosely adapted from the W3C 'sizes' conformance checker at:
 // http://w3c-test.org/html/semantics/embedded-content/the-img-element/sizes/parse-a-sizes-attribute.html
-// Certain Invalid constructs like matching (), [] and {} are deliberately not handled.
+// Entries are split at top level commas only, as CSS Syntax defines it, so commas
+// inside (), [] and {} blocks, functions and quoted strings never split the list.
 
 var tests = [
 	{
@@ -29,7 +30,23 @@ var tests = [
 			{sizes: '0.1vmax',                   expect: '0.1vmax'},
 			{sizes: '0.1cm',                     expect: '0.1cm'},
 			{sizes: '1mm',                       expect: '1mm'},
-			{sizes: '1q',                        expect: '100vw'},
+			{sizes: '1q',                        expect: '1q'},
+			{sizes: '1Q',                        expect: '1Q'},
+			{sizes: '1vi',                       expect: '1vi'},
+			{sizes: '1vb',                       expect: '1vb'},
+			{sizes: '1svw',                      expect: '1svw'},
+			{sizes: '1LVH',                      expect: '1LVH'},
+			{sizes: '1dvmin',                    expect: '1dvmin'},
+			{sizes: '1lh',                       expect: '1lh'},
+			{sizes: '1rlh',                      expect: '1rlh'},
+			{sizes: '1cap',                      expect: '1cap'},
+			{sizes: '1ic',                       expect: '1ic'},
+			{sizes: '1rex',                      expect: '1rex'},
+			{sizes: '1rch',                      expect: '1rch'},
+			{sizes: '1cqi',                      expect: '1cqi'},
+			{sizes: '1cqmax',                    expect: '1cqmax'},
+			{sizes: '1vx',                       expect: '100vw'},
+			{sizes: '1svq',                      expect: '100vw'},
 			{sizes: '0.01in',                    expect: '0.01in'},
 			{sizes: '0.1pc',                     expect: '0.1pc'},
 			{sizes: '0.1pt',                     expect: '0.1pt'},
@@ -51,7 +68,61 @@ var tests = [
 			{sizes: ' calc(5px + 5px)',          expect: 'calc(5px + 5px)'},
 			{sizes: 'calc((5px + 5px)*2)',       expect: 'calc((5px + 5px)*2)'},
 			{sizes: 'calc(200px * 1.4)',         expect: 'calc(200px * 1.4)', desc: "floats in calc 1"},
-			{sizes: 'calc(20.2em + 10px)',       expect: 'calc(20.2em + 10px)', desc: "floats in calc 2"}
+			{sizes: 'calc(20.2em + 10px)',       expect: 'calc(20.2em + 10px)', desc: "floats in calc 2"},
+			{sizes: 'CALC(1PX - -2px)',          expect: 'CALC(1PX - -2px)'},
+			{sizes: 'calc(calc(1px) * pi)',      expect: 'calc(calc(1px) * pi)'},
+			{sizes: 'calc(2px * 3px / 1px)',     expect: 'calc(2px * 3px / 1px)'},
+			{sizes: 'calc(-1px)',                expect: 'calc(-1px)'},
+			{sizes: 'calc(px px)',               expect: '100vw'},
+			{sizes: 'calc(1px +)',               expect: '100vw'},
+			{sizes: 'calc(1px+2px)',             expect: '100vw', desc: "+ needs white space"},
+			{sizes: 'calc(1px -(2px))',          expect: '100vw', desc: "- needs white space"},
+			{sizes: 'calc(1px * 2px)',           expect: '100vw'},
+			{sizes: 'calc(1px + 2)',             expect: '100vw'},
+			{sizes: 'calc(0)',                   expect: '100vw'},
+			{sizes: 'calc(1% + 1px)',            expect: '100vw'},
+			{sizes: 'calc(1deg)',                expect: '100vw'},
+			{sizes: 'calc()',                    expect: '100vw'},
+			{sizes: 'calc([1px])',               expect: '100vw'},
+			{sizes: 'calc(1px) 2px, calc(3px)',  expect: 'calc(3px)'},
+			{sizes: 'calc(1px, 2px)',            expect: '100vw'}
+		]
+	},
+	{
+		groupName: "min(), max() and clamp()",
+		testArray: [
+			{sizes: 'min(100vw, 1200px)',        expect: 'min(100vw, 1200px)'},
+			{sizes: 'MAX(1px)',                  expect: 'MAX(1px)'},
+			{sizes: 'clamp(320px, 50vw, 800px)', expect: 'clamp(320px, 50vw, 800px)'},
+			{sizes: 'calc(min(100vw, 50em) - 2rem)', expect: 'calc(min(100vw, 50em) - 2rem)'},
+			{sizes: 'max(calc(1px * 2), 1em)',   expect: 'max(calc(1px * 2), 1em)'},
+			{sizes: 'min()',                     expect: '100vw'},
+			{sizes: 'min(1px,)',                 expect: '100vw'},
+			{sizes: 'min(1px, 2)',               expect: '100vw', desc: "arguments of different types"},
+			{sizes: 'clamp(1px, 2px)',           expect: '100vw'},
+			{sizes: 'clamp(none, 50vw, 100px)',  expect: 'clamp(none, 50vw, 100px)'},
+			{sizes: 'clamp(1px, none, 2px)',     expect: '100vw', desc: "none as the value"},
+			{sizes: 'min(1px, 2px), 3px',        expect: 'min(1px, 2px)'}
+		]
+	},
+	{
+		groupName: "Other math functions",
+		testArray: [
+			{sizes: 'abs(1px)',                  expect: 'abs(1px)'},
+			{sizes: 'round(10px, 3px)',          expect: 'round(10px, 3px)'},
+			{sizes: 'round(up, 50vw, 8px)',      expect: 'round(up, 50vw, 8px)'},
+			{sizes: 'mod(100vw, 7em)',           expect: 'mod(100vw, 7em)'},
+			{sizes: 'rem(100vw, 7em)',           expect: 'rem(100vw, 7em)'},
+			{sizes: 'hypot(3px, 4px)',           expect: 'hypot(3px, 4px)'},
+			{sizes: 'calc(1px * pow(2, 3) * sign(-1em) * sqrt(4))', expect: 'calc(1px * pow(2, 3) * sign(-1em) * sqrt(4))'},
+			{sizes: 'calc(1px * (exp(1) + log(8, 2) + sin(0) + cos(0) + tan(0)))', expect: 'calc(1px * (exp(1) + log(8, 2) + sin(0) + cos(0) + tan(0)))'},
+			{sizes: 'round(10px)',               expect: '100vw', desc: "round() of a length needs a step"},
+			{sizes: 'round(sideways, 10px, 3px)', expect: '100vw'},
+			{sizes: 'mod(1px, 2)',               expect: '100vw', desc: "arguments of different types"},
+			{sizes: 'calc(1px * pow(2px, 2))',   expect: '100vw', desc: "pow() takes numbers"},
+			{sizes: 'sign(1px)',                 expect: '100vw', desc: "sign() is a number"},
+			{sizes: 'calc(1px * asin(1))',       expect: '100vw', desc: "asin() gives an angle"},
+			{sizes: 'foo(1px)',                  expect: '100vw'}
 		]
 	},
 	{
@@ -71,6 +142,18 @@ var tests = [
 			{sizes: '0.1dppx', expect: '100vw'}
 		]
 	},
+	{
+		groupName: "CSS Values Level 3 units",
+		options: {valuesLevel: 3},
+		testArray: [
+			{sizes: '1q',                        expect: '1q'},
+			{sizes: '1vmax',                     expect: '1vmax'},
+			{sizes: '1dvw, 1px',                 expect: '1px'},
+			{sizes: '1lh',                       expect: '100vw'},
+			{sizes: 'calc(1px + 1cqw), 1px',     expect: '1px'},
+			{sizes: 'max(1vw, 1svw), 1px',       expect: '1px'}
+		]
+	},
 	{
 		groupName: "CSS style comments",
 		testArray: [
@@ -105,9 +188,11 @@ var tests = [
 			{sizes: 'unknown-general-enclosed(foo) 100vw, 1px', expect: '1px'},
 			{sizes: 'not unknown-general-enclosed(foo) 1px', expect: '100vw'},
 			{sizes: 'print 100vw, 1px',              expect: '1px'},
-			{sizes: 'not print 100vw, 1px',          expect: '100vw'},
+			{sizes: 'not print 100vw, 1px',          expect: '1px'},
 			{sizes: 'unknown-media-type 100vw, 1px', expect: '1px'},
-			{sizes: 'not unknown-media-type 100vw, 1px', expect: '100vw'}
+			{sizes: 'not unknown-media-type 100vw, 1px', expect: '1px'},
+			{sizes: 'only screen 100vw, 1px',        expect: '1px'},
+			{sizes: 'screen and (min-width:0) 100vw, 1px', expect: '1px'}
 		]
 	},
 	{
@@ -115,14 +200,13 @@ var tests = [
 		testArray: [
 			{sizes: '(min-width:1px) and (min-width:1px) 1px', expect: '1px'},
 			// "all" is allowed in a <media-query> but not allowed in a <media-condition>.
-			// However there is no easy way to evaluate a <media-condition> as opposed to
-			// a media query. These tests will currently fail. See Issue #3
+			// See Issue #3
 			{sizes: 'all and (min-width:0) 100vw, 1px',        expect: '1px'},
 			{sizes: 'all and (min-width:0) 1px',               expect: '100vw'},
-			// "or" from Media Queries Level 4 is not yet implemented in any browser
+			// "or" from Media Queries Level 4 is not implemented in older browsers
 			// http://dev.w3.org/csswg/mediaqueries4/#typedef-media-or
 			// https://code.google.com/p/chromium/issues/detail?id=442449
-			// So the first eight tests here which use it will not pass.
+			// so conditions that use it are taken apart before matchMedia sees them.
 			{sizes: '(min-width:0) or (min-width:0) 1px', expect: '1px'},
 			{sizes: '(min-width:0) or (unknown-mf-name) 1px', expect: '1px'},
 			{sizes: '(min-width:0) or (min-width:unknown-mf-value) 1px', expect: '1px'},
@@ -130,7 +214,12 @@ var tests = [
 			{sizes: '(min-width:0) or ("unknown-general-enclosed") 1px', expect: '1px'},
 			{sizes: '(min-width:0) or unknown-general-enclosed(foo) 1px', expect: '1px'},
 			{sizes: '(min-width:0) or (!) 100vw, 1px', expect: '100vw'},
-			{sizes: '(min-width:0) or unknown-media-type 100vw, 1px', expect: '100vw'},
+			{sizes: '(min-width:0) or unknown-media-type 100vw, 1px', expect: '1px'},
+			{sizes: 'not (min-width:0) or (min-width:0) 100vw, 1px', expect: '1px'},
+			{sizes: '(not (min-width:0)) or (min-width:0) 1px', expect: '1px'},
+			{sizes: 'not ((min-width:0) or (max-width:0)) 100vw, 1px', expect: '1px'},
+			{sizes: '((max-width:0) or (min-width:0)) and (min-width:0) 1px', expect: '1px'},
+			{sizes: '((max-width:0) or (max-width:0)) and (min-width:0) 100vw, 1px', expect: '1px'},
 			{sizes: '(123) 100vw, 1px',          expect: '1px'},
 			{sizes: 'not (123) 1px',             expect: '100vw'},
 			{sizes: '(!) 100vw, 1px',            expect: '1px'},
@@ -157,6 +246,21 @@ var tests = [
 			{sizes: '1px,',                      expect: '1px'}
 		]
 	},
+	{
+		groupName: "Blocks and strings",
+		testArray: [
+			{sizes: '[x, 50vw, y] 1px, 2px',     expect: '2px', desc: "comma inside []"},
+			{sizes: '{x, 50vw, y} 1px, 2px',     expect: '2px', desc: "comma inside {}"},
+			{sizes: '(x, 50vw, y) 1px, 2px',     expect: '2px', desc: "comma inside ()"},
+			{sizes: 'x(y, 50vw) 1px, 2px',       expect: '2px', desc: "comma inside a function"},
+			{sizes: '("a, 50vw, b") 1px, 2px',   expect: '2px', desc: "comma inside a double quoted string"},
+			{sizes: "('a, 50vw, b') 1px, 2px",   expect: '2px', desc: "comma inside a single quoted string"},
+			{sizes: '(]) 50vw, 2px',             expect: '2px', desc: "mismatched brackets"},
+			{sizes: '[( 50vw, 2px',              expect: '100vw', desc: "an open bracket runs to the end"},
+			{sizes: '(min-width:0) [1px]',       expect: '100vw'},
+			{sizes: '("a) 1px, 2px',             expect: '100vw', desc: "unclosed string runs to the end"}
+		]
+	},
 	{
 		groupName: "Eccentric syntax",
 		testArray: [
@@ -167,7 +271,7 @@ var tests = [
 			{sizes: '0.2e1px',                   expect: '0.2e1px'},
 			{sizes: '0.3E1px',                   expect: '0.3E1px'},
 			{sizes: '.4E1px',                    expect: '.4E1px'},
-			{sizes: 'all 100vw, 1px',            expect: '100vw'},
+			{sizes: 'all 100vw, 1px',            expect: '1px'},
 			{sizes: 'min-width:0 100vw, 1px',    expect: '1px'},
 			{sizes: '1px, 100vw',                expect: '1px'},
 			{sizes: '1px, (min-width:0) 100vw',  expect: '1px'},
@@ -184,7 +288,7 @@ var tests = [
 			{sizes: 'default',                   expect: '100vw'},
 			{sizes: '1px !important',            expect: '100vw'},
 			{sizes: '\\1px',                     expect: '100vw'},
-			{sizes: 'all 1px',                   expect: '1px'},
+			{sizes: 'all 1px',                   expect: '100vw'},
 			{sizes: 'min-width:0 1px',           expect: '100vw'},
 			{sizes: '50vw, (min-width:0) 1px',   expect: '50vw'},
 			{sizes: 'foo bar',                   expect: '100vw'},
@@ -196,7 +300,888 @@ var tests = [
 			{sizes: '1e1.5px',                   expect: '100vw'},
 			{sizes: 'var(--foo)',                expect: '100vw'},
 			{sizes: 'calc(1px',                  expect: '100vw'},
-			{sizes: '(min-width:0) calc(1px',    expect: '100vw'}
+			{sizes: '(min-width:0) calc(1px',    expect: '100vw'},
+			{sizes: '"1px"',                     expect: '100vw', desc: "string"},
+			{sizes: '\\31 px',                  expect: '100vw', desc: "escaped digit"},
+			{sizes: '1/**/px, 2px',              expect: '2px'},
+			{sizes: 'calc(1px)/**/',             expect: 'calc(1px)'}
+		]
+	},
+	{
+		groupName: "Custom matchMedia",
+		options: {
+			matchMedia: function(media) {
+				return {
+					matches: media === '(orientation: portrait)' ||
+					         media === '(-webkit-min-device-pixel-ratio: 2)'
+				};
+			}
+		},
+		testArray: [
+			{sizes: '(orientation: portrait) 50vw, 100vw', expect: '50vw'},
+			{sizes: '(orientation: landscape) 50vw, 100vw', expect: '100vw'},
+			{sizes: '(min-width:0) 50vw, 1px',   expect: '1px'},
+			{sizes: '(orientation: landscape) or (orientation: portrait) 50vw, 1px', expect: '50vw'},
+			{sizes: 'not (orientation: portrait-ish) 50vw, 1px', expect: '1px',
+			 desc: "invalid values never get to matchMedia"},
+			{sizes: 'not (portrait-orientation) 50vw, 1px', expect: '1px',
+			 desc: "features the catalog doesn't have are unknown, whatever the engine says"},
+			{sizes: '(-webkit-min-device-pixel-ratio: 2) 50vw, 1px', expect: '50vw',
+			 desc: "vendor-prefixed features go to matchMedia"},
+			{sizes: 'not (color-gamut: p3) 50vw, 1px', expect: '50vw'}
+		]
+	},
+	{
+		groupName: "Range syntax through matchMedia",
+		options: {
+			// Knows min-width and max-width on an 800px wide viewport, and nothing else.
+			matchMedia: function(media) {
+				var match = /^\((min-|max-)?width: ([0-9]+)px\)$/.exec(media);
+				var value = match && parseFloat(match[2]);
+				return {matches: !!match && (match[1] === 'min-' ? 800 >= value :
+				                             match[1] === 'max-' ? 800 <= value : 800 === value)};
+			}
+		},
+		testArray: [
+			{sizes: '(width >= 400px) 1px, 2px', expect: '1px'},
+			{sizes: '(width > 800px) 1px, 2px',  expect: '2px'},
+			{sizes: '(800px > width) 1px, 2px',  expect: '2px'},
+			{sizes: '(width = 800px) 1px, 2px',  expect: '1px'},
+			{sizes: '(400px <= width < 800px) 1px, 2px', expect: '2px'},
+			{sizes: '(400px <= width <= 800px) 1px, 2px', expect: '1px'},
+			{sizes: 'not (width < 400px) 1px, 2px', expect: '1px'}
+		]
+	},
+	{
+		groupName: "Custom evaluate",
+		options: {
+			evaluate: function(condition) {
+				return condition.type === 'feature' && condition.name === 'min-width' &&
+				       condition.value === '40em';
+			}
+		},
+		testArray: [
+			{sizes: '(MIN-WIDTH: 40em) 50vw, 100vw', expect: '50vw'},
+			{sizes: '(min-width: 20em) 50vw, 100vw', expect: '100vw'},
+			{sizes: 'not (min-width: 40em) 50vw, 1px', expect: '1px'},
+			{sizes: '30vw',                      expect: '30vw', desc: "not called without a condition"},
+			{sizes: '(foo: bar) 1px, 2px',       expect: '2px', options: {
+				evaluate: function() { return null; }
+			}, desc: "null is unknown"}
+		]
+	},
+	{
+		groupName: "Built-in evaluator, desktop",
+		options: {environment: {width: 800, height: 600}},
+		testArray: [
+			{sizes: '(min-width: 40em) 50vw, 100vw', expect: '50vw'},
+			{sizes: '(max-width: 40em) 50vw, 100vw', expect: '100vw'},
+			{sizes: '(width: 800px) 1px, 2px',   expect: '1px'},
+			{sizes: '(min-width: 10cm) 1px, 2px', expect: '1px'},
+			{sizes: '(max-height: 80vw) 1px, 2px', expect: '1px'},
+			{sizes: '(min-width: 1) 1px, 2px',   expect: '2px', desc: "unitless length"},
+			{sizes: '(orientation: landscape) 1px, 2px', expect: '1px'},
+			{sizes: '(min-aspect-ratio: 16/9) 1px, 2px', expect: '2px'},
+			{sizes: '(max-aspect-ratio: 4 / 3) 1px, 2px', expect: '1px'},
+			{sizes: '(min-resolution: 2dppx) 1px, 2px', expect: '2px'},
+			{sizes: '(resolution: 96dpi) 1px, 2px', expect: '1px'},
+			{sizes: '(prefers-color-scheme: dark) 1px, 2px', expect: '2px'},
+			{sizes: '(hover) and (pointer: fine) 1px, 2px', expect: '1px'},
+			{sizes: '(color) and (not (grid)) 1px, 2px', expect: '1px'},
+			{sizes: '(grid: 0) 1px, 2px',        expect: '1px'},
+			{sizes: 'not (grid: 2) 1px, 2px',    expect: '2px', desc: "grid is 0 or 1"},
+			{sizes: '(max-resolution: infinite) 1px, 2px', expect: '1px'},
+			{sizes: '(resolution < infinite) 1px, 2px', expect: '1px'},
+			{sizes: '(min-resolution: infinite) 1px, 2px', expect: '2px'},
+			{sizes: 'not (resolution: infinity) 1px, 2px', expect: '2px', desc: "only infinite"},
+			{sizes: '(min-width: 900px) or (min-height: 500px) 1px, 2px', expect: '1px'},
+			{sizes: 'not ((min-width: 500px) and (max-width: 900px)) 1px, 2px', expect: '2px'},
+			{sizes: '(min-orientation: portrait) 1px, 2px', expect: '2px'},
+			{sizes: '(unknown) or foo(bar) 1px, 2px', expect: '2px'},
+			{sizes: '(width >= 40em) 50vw, 100vw', expect: '50vw', desc: "range syntax"},
+			{sizes: '(width > 800px) 1px, 2px',  expect: '2px'},
+			{sizes: '(width<=800px) 1px, 2px',   expect: '1px'},
+			{sizes: '(width = 800px) 1px, 2px',  expect: '1px'},
+			{sizes: '(40em < width) 1px, 2px',   expect: '1px', desc: "value on the left"},
+			{sizes: '(400px <= width < 800px) 1px, 2px', expect: '2px', desc: "double comparison"},
+			{sizes: '(400px <= width <= 800px) 1px, 2px', expect: '1px'},
+			{sizes: '(900px > width >= 800px) 1px, 2px', expect: '1px'},
+			{sizes: '(4/3 <= aspect-ratio) and (height < 40em) 1px, 2px', expect: '1px'},
+			{sizes: '(width > = 400px) 1px, 2px', expect: '2px', desc: "no space inside >="},
+			{sizes: '(400px < width > 300px) 1px, 2px', expect: '2px', desc: "mixed directions"},
+			{sizes: '(min-width > 400px) 1px, 2px', expect: '2px'},
+			{sizes: '(orientation = landscape) 1px, 2px', expect: '2px', desc: "discrete feature"},
+			{sizes: 'not (unknown-mf-name) 1px, 2px', expect: '2px', desc: "not unknown is unknown"},
+			{sizes: 'not ("unknown-general-enclosed") 1px, 2px', expect: '2px'},
+			{sizes: 'not unknown-general-enclosed(foo) 1px, 2px', expect: '2px'},
+			{sizes: 'not (min-width: unknown-mf-value) 1px, 2px', expect: '2px'},
+			{sizes: 'not (min-width: -1px) 1px, 2px', expect: '2px'},
+			{sizes: '(min-width: 0) and (unknown) 1px, 2px', expect: '2px'},
+			{sizes: '(max-width: 0) and (unknown) 1px, 2px', expect: '2px'},
+			{sizes: 'not ((unknown) and (max-width: 0)) 1px, 2px', expect: '1px',
+			 desc: "false decides and"},
+			{sizes: 'not ((unknown) or (min-width: 0)) 1px, 2px', expect: '2px',
+			 desc: "true decides or"},
+			{sizes: 'not ((unknown) or (max-width: 0)) 1px, 2px', expect: '2px'},
+			{sizes: '(min-width: calc(10px + 1em)) 1px, 2px', expect: '1px'},
+			{sizes: '(min-width: clamp(1px, 50vw, 2px)) 1px, 2px', expect: '1px'},
+			{sizes: '(min-width: calc(10px - 1em)) 1px, 2px', expect: '1px', desc: "clamped to 0"},
+			{sizes: 'not (min-width: min(1px, 2)) 1px, 2px', expect: '2px', desc: "not a length"},
+			{sizes: '(color-gamut: srgb) and (scripting) 1px, 2px', expect: '1px'},
+			{sizes: '(color-gamut: p3) 1px, 2px', expect: '2px'},
+			{sizes: '(color-gamut: srgb) 1px, 2px', expect: '1px', desc: "a p3 screen matches srgb",
+			 options: {environment: {colorGamut: 'p3'}}},
+			{sizes: '(dynamic-range: high) 1px, 2px', expect: '1px',
+			 options: {environment: {dynamicRange: 'high'}}},
+			{sizes: '(-webkit-min-device-pixel-ratio: 1) 1px, 2px', expect: '2px',
+			 desc: "no built-in prefixed features"}
+		]
+	},
+	{
+		groupName: "Built-in evaluator, phone",
+		options: {environment: {
+			width: 375, height: 667, resolution: 3,
+			hover: 'none', pointer: 'coarse', prefersColorScheme: 'dark'
+		}},
+		testArray: [
+			{sizes: '(min-width: 40em) 50vw, 100vw', expect: '100vw'},
+			{sizes: '(orientation: portrait) 1px, 2px', expect: '1px'},
+			{sizes: '(min-resolution: 2dppx) 1px, 2px', expect: '1px'},
+			{sizes: '(min-resolution: 288dpi) 1px, 2px', expect: '1px'},
+			{sizes: '(prefers-color-scheme: dark) 1px, 2px', expect: '1px'},
+			{sizes: '(hover) 1px, 2px',          expect: '2px'},
+			{sizes: '(any-pointer: coarse) 1px, 2px', expect: '1px'},
+			{sizes: '(min-width: 24em) 1px, 2px', expect: '2px', desc: "16px em"},
+			{sizes: '(min-width: 24em) 1px, 2px', expect: '1px', desc: "15px em", options: {
+				environment: {width: 375, height: 667, rootFontSize: 15}
+			}},
+			{sizes: '(min-width: 40ex) 1px, 2px', expect: '1px', options: {
+				environment: {width: 375, rootFontSize: 18.75}
+			}},
+			{sizes: '(min-width: 20lh) 1px, 2px', expect: '2px', desc: "19.2px lh"},
+			{sizes: '(max-height: 100svh) 1px, 2px', expect: '1px'},
+			{sizes: '(prefers-contrast) or (forced-colors) 1px, 2px', expect: '2px'},
+			{sizes: '(overflow-block: scroll) and (display-mode: browser) 1px, 2px', expect: '1px'},
+			{sizes: 'not (display-mode: app) 1px, 2px', expect: '2px'},
+			{sizes: 'not (constructor) 1px, 2px', expect: '2px'},
+			{sizes: 'not (min-orientation: portrait) 1px, 2px', expect: '2px'},
+			{sizes: 'not (min-color) 1px, 2px',  expect: '2px'},
+			{sizes: 'not (min-width < 1px) 1px, 2px', expect: '2px'},
+			{sizes: 'not (grid > 0) 1px, 2px',   expect: '2px'}
+		]
+	},
+	{
+		groupName: "Custom media",
+		setup: function() {
+			parseSizes.clearCustomMedia();
+		},
+		options: {
+			environment: {width: 800, height: 600},
+			customMedia: {
+				'--tablet': '(min-width: 48em)',
+				'--wide': '(--tablet) and (orientation: landscape)',
+				'--loop': 'not (--loop)',
+				'--print': 'print',
+				'--missing': '(--nowhere)',
+				'--narrow-or-wide': '(max-width: 30em), (min-width: 40em)',
+				'--wide-or-print': '(min-width: 40em), print'
+			}
+		},
+		testArray: [
+			{sizes: '(--tablet) 50vw, 100vw',    expect: '50vw'},
+			{sizes: 'not (--tablet) 50vw, 100vw', expect: '100vw'},
+			{sizes: '(--wide) or (--unknown) 1px, 2px', expect: '2px', desc: "unknown custom media is a parse error"},
+			{sizes: '(--wide) 1px, 2px',         expect: '1px', desc: "defined in terms of custom media"},
+			{sizes: '(--TABLET) 1px, 2px',       expect: '2px', desc: "names are case-sensitive"},
+			{sizes: '(--loop) 1px, 2px',         expect: '2px'},
+			{sizes: '(--print) 1px, 2px',        expect: '2px', desc: "definitions must be media conditions"},
+			{sizes: '(--missing) 1px, 2px',      expect: '2px'},
+			{sizes: '(--narrow-or-wide) 1px, 2px', expect: '1px', desc: "a list matches if any query does"},
+			{sizes: '(--wide-or-print) 1px, 2px', expect: '2px', desc: "every query must be a media condition"}
+		]
+	},
+	{
+		groupName: "Load custom media",
+		method: "loadCustomMedia",
+		setup: function() {
+			parseSizes.clearCustomMedia();
+		},
+		testArray: [
+			{sizes: '', expect: []},
+			{sizes: '@custom-media --phone (max-width: 30em);\n' +
+			        '@media (--phone) { a { color: red } }\n' +
+			        '@CUSTOM-MEDIA --desktop /* wide */ (min-width: 64em)', expect: ['--phone', '--desktop']},
+			{sizes: '@custom-media tablet (min-width: 48em);\n' +
+			        '@custom-media --print-only false;', expect: ['--print-only'],
+			 desc: "a rule without an extension name is skipped"},
+			{sizes: '@custom-media --a (min-width: 1px) { }\n' +
+			        '@custom-media --b true;\n' +
+			        '@custom-media --c (x: ";") and (width; 1px);\n' +
+			        '@custom-media --d false;', expect: ['--b', '--c', '--d'],
+			 desc: "a rule that ends in a block is dropped, and parens hold semicolons"}
+		]
+	},
+	{
+		groupName: "Registered custom media",
+		setup: function() {
+			parseSizes.clearCustomMedia();
+			parseSizes.loadCustomMedia('@custom-media --phone (max-width: 30em);\n' +
+			                           '@custom-media --desktop (min-width: 64em);\n' +
+			                           '@custom-media --always true;\n' +
+			                           '@custom-media --never FALSE;');
+		},
+		options: {environment: {width: 600, height: 800}},
+		testArray: [
+			{sizes: '(--phone) 1px, 2px',        expect: '2px'},
+			{sizes: 'not (--desktop) 1px, 2px',  expect: '1px'},
+			{sizes: '(--always) 1px, 2px',       expect: '1px'},
+			{sizes: '(--never) 1px, 2px',        expect: '2px'},
+			{sizes: 'not (--never) and (--always) 1px, 2px', expect: '2px',
+			 desc: "not can't be mixed with and"},
+			{sizes: '(--never) or (--always) 1px, 2px', expect: '1px'},
+			{sizes: '(--phone) 1px, 2px', desc: "options come first", options: {
+				environment: {width: 600, height: 800},
+				customMedia: {'--phone': '(max-width: 40em)'}
+			}, expect: '1px'}
+		]
+	},
+	{
+		groupName: "Cleared custom media",
+		setup: function() {
+			parseSizes.defineCustomMedia('--phone', '(max-width: 40em)');
+			parseSizes.clearCustomMedia();
+		},
+		options: {environment: {width: 600, height: 800}},
+		testArray: [
+			{sizes: '(--phone) 1px, 2px',        expect: '2px', desc: "clearCustomMedia forgets definitions"},
+			{sizes: '(--always) 1px, 2px',       expect: '2px'}
+		]
+	},
+	{
+		groupName: "Auto sizes",
+		options: {
+			layoutWidth: function() {
+				return 320;
+			}
+		},
+		testArray: [
+			{sizes: 'auto, 50vw',                expect: '320px'},
+			{sizes: 'AUTO',                      expect: '320px'},
+			{sizes: 'auto, (min-width: 0) 50vw', expect: '320px'},
+			{sizes: '50vw, auto',                expect: '50vw'},
+			{sizes: '(max-width: 0) auto, 50vw', expect: '50vw', desc: "auto must come first"},
+			{sizes: '(min-width: 0) auto, 50vw', expect: '50vw'},
+			{sizes: 'auto, 50vw',                expect: '50vw', desc: "no auto without layoutWidth",
+			 options: {}},
+			{sizes: 'auto, 50vw',                expect: '50vw', desc: "no auto when not rendered",
+			 options: {layoutWidth: function() { return null; }}}
+		]
+	},
+	{
+		groupName: "Detailed result",
+		method: "detailed",
+		testArray: [
+			{sizes: '', desc: "fallback on empty string", expect: {
+				size: '100vw', index: -1, condition: null, fallback: true, auto: false, skipped: [],
+				px: null, breakpoints: []
+			}},
+			{sizes: '100vw', desc: "explicit 100vw is not the fallback", expect: {
+				size: '100vw', index: 0, condition: '', fallback: false, auto: false, skipped: [],
+				px: null, breakpoints: []
+			}},
+			{sizes: '(min-width:0) 50vw, 100vw', expect: {
+				size: '50vw', index: 0, condition: '(min-width:0)', fallback: false, auto: false, skipped: [],
+				px: null, breakpoints: []
+			}},
+			{sizes: 'not (min-width:0) 50vw, foo, 30vw', expect: {
+				size: '30vw', index: 2, condition: '', fallback: false, auto: false, skipped: [
+					{index: 0, entry: 'not (min-width:0) 50vw', reason: 'condition-false'},
+					{index: 1, entry: 'foo', reason: 'invalid-size'}
+				],
+				px: null, breakpoints: []
+			}},
+			{sizes: 'not (foo) 50vw, 30vw', expect: {
+				size: '30vw', index: 1, condition: '', fallback: false, auto: false, skipped: [
+					{index: 0, entry: 'not (foo) 50vw', reason: 'condition-unknown',
+					 message: 'unknown media feature foo'}
+				],
+				px: null, breakpoints: []
+			}},
+			{sizes: 'foo(bar) 50vw, (min-width: 1) 40vw, 30vw', expect: {
+				size: '30vw', index: 2, condition: '', fallback: false, auto: false, skipped: [
+					{index: 0, entry: 'foo(bar) 50vw', reason: 'condition-unknown'},
+					{index: 1, entry: '(min-width: 1) 40vw', reason: 'condition-unknown',
+					 message: 'invalid value for min-width: 1 (expected a non-negative length)'}
+				],
+				px: null, breakpoints: []
+			}},
+			{sizes: '(--nowhere) 50vw, 30vw', expect: {
+				size: '30vw', index: 1, condition: '', fallback: false, auto: false, skipped: [
+					{index: 0, entry: '(--nowhere) 50vw', reason: 'invalid-condition',
+					 message: 'unknown custom media --nowhere'}
+				],
+				px: null, breakpoints: []
+			}},
+			{sizes: '(min-width: 40em) 50vw, 100vw', desc: "px values with an environment", options: {
+				environment: {width: 600, rootFontSize: 20}
+			}, expect: {
+				size: '100vw', index: 1, condition: '', fallback: false, auto: false, skipped: [
+					{index: 0, entry: '(min-width: 40em) 50vw', reason: 'condition-false'}
+				],
+				px: 600, breakpoints: [{feature: 'width', op: '>=', value: '40em', px: 800}]
+			}},
+			{sizes: '(min-width: 30em) 20rem, 100vw', options: {
+				environment: {width: 600, rootFontSize: 20}
+			}, expect: {
+				size: '20rem', index: 0, condition: '(min-width: 30em)', fallback: false, auto: false, skipped: [],
+				px: 400, breakpoints: [{feature: 'width', op: '>=', value: '30em', px: 600}]
+			}},
+			{sizes: '(max-width: 10px) 1px', options: {environment: {width: 600}}, expect: {
+				size: '100vw', index: -1, condition: null, fallback: true, auto: false, skipped: [
+					{index: 0, entry: '(max-width: 10px) 1px', reason: 'condition-false'}
+				],
+				px: 600, breakpoints: [{feature: 'width', op: '<=', value: '10px', px: 10}]
+			}},
+			{sizes: 'calc(100vw - 2 * 1.5rem)', desc: "calc in px", options: {
+				environment: {width: 1000}
+			}, expect: {
+				size: 'calc(100vw - 2 * 1.5rem)', index: 0, condition: '', fallback: false, auto: false,
+				skipped: [], px: 952, breakpoints: []
+			}},
+			{sizes: '(min-width: 40em) calc((100vw - (2em + 10px)) / 2)', desc: "em from fontSize", options: {
+				environment: {width: 1000, fontSize: 20}
+			}, expect: {
+				size: 'calc((100vw - (2em + 10px)) / 2)', index: 0, condition: '(min-width: 40em)',
+				fallback: false, auto: false, skipped: [],
+				px: 475, breakpoints: [{feature: 'width', op: '>=', value: '40em', px: 640}]
+			}},
+			{sizes: 'calc(50vw - 400px)', desc: "negative calc is clamped", options: {
+				environment: {width: 600}
+			}, expect: {
+				size: 'calc(50vw - 400px)', index: 0, condition: '', fallback: false, auto: false,
+				skipped: [], px: 0, breakpoints: []
+			}},
+			{sizes: 'clamp(320px, calc(100vw - min(10vw, 2em)), 800px)', options: {
+				environment: {width: 1000}
+			}, expect: {
+				size: 'clamp(320px, calc(100vw - min(10vw, 2em)), 800px)', index: 0, condition: '',
+				fallback: false, auto: false, skipped: [], px: 800, breakpoints: []
+			}},
+			{sizes: 'clamp(320px, calc(100vw - min(10vw, 2em)), 800px)', options: {
+				environment: {width: 500}
+			}, expect: {
+				size: 'clamp(320px, calc(100vw - min(10vw, 2em)), 800px)', index: 0, condition: '',
+				fallback: false, auto: false, skipped: [], px: 468, breakpoints: []
+			}},
+			{sizes: 'clamp(900px, 50vw, 800px)', desc: "clamp's minimum wins", options: {
+				environment: {width: 1000}
+			}, expect: {
+				size: 'clamp(900px, 50vw, 800px)', index: 0, condition: '', fallback: false, auto: false,
+				skipped: [], px: 900, breakpoints: []
+			}},
+			{sizes: '1dvw, 1px', desc: "unit from a later level", options: {valuesLevel: 3}, expect: {
+				size: '1px', index: 1, condition: '', fallback: false, auto: false, skipped: [
+					{index: 0, entry: '1dvw', reason: 'invalid-size',
+					 message: 'dvw is not a unit in CSS Values Level 3'}
+				],
+				px: null, breakpoints: []
+			}},
+			{sizes: 'calc(100svh - 2rlh + 10cqi)', desc: "units from the environment", options: {
+				environment: {height: 800, smallViewportHeight: 600, containerHeight: 300,
+				              writingMode: 'vertical-rl'}
+			}, expect: {
+				size: 'calc(100svh - 2rlh + 10cqi)', index: 0, condition: '', fallback: false,
+				auto: false, skipped: [], px: 591.6, breakpoints: []
+			}},
+			{sizes: 'calc(2cap + 3ic + 4rex)', desc: "font metrics", options: {
+				environment: {fontSize: 20, capHeight: 0.75, icWidth: 0.9, xHeight: 0.5}
+			}, expect: {
+				size: 'calc(2cap + 3ic + 4rex)', index: 0, condition: '', fallback: false,
+				auto: false, skipped: [], px: 116, breakpoints: []
+			}},
+			{sizes: 'calc(1px +2px), 50vw', desc: "invalid calc", expect: {
+				size: '50vw', index: 1, condition: '', fallback: false, auto: false, skipped: [
+					{index: 0, entry: 'calc(1px +2px)', reason: 'invalid-size',
+					 message: 'missing an operator before +2px'}
+				],
+				px: null, breakpoints: []
+			}},
+			{sizes: 'auto, 50vw', desc: "auto is ignored", expect: {
+				size: '50vw', index: 1, condition: '', fallback: false, auto: false, skipped: [
+					{index: 0, entry: 'auto', reason: 'auto-ignored',
+					 message: 'auto needs options.layoutWidth, for a lazy loaded image'}
+				],
+				px: null, breakpoints: []
+			}},
+			{sizes: 'auto, 50vw', desc: "auto applies", options: {
+				layoutWidth: function() { return 320; }
+			}, expect: {
+				size: '320px', index: 0, condition: '', fallback: false, auto: true, skipped: [],
+				px: 320, breakpoints: []
+			}},
+			{sizes: ', foo,, 1px', desc: "empty entries are skipped and counted", expect: {
+				size: '1px', index: 3, condition: '', fallback: false, auto: false, skipped: [
+					{index: 0, entry: '', reason: 'empty'},
+					{index: 1, entry: 'foo', reason: 'invalid-size'},
+					{index: 2, entry: '', reason: 'empty'}
+				],
+				px: null, breakpoints: []
+			}},
+			{sizes: 'all 50vw, (min-width:0) 1%', expect: {
+				size: '100vw', index: -1, condition: null, fallback: true, auto: false, skipped: [
+					{index: 0, entry: 'all 50vw', reason: 'invalid-condition'},
+					{index: 1, entry: '(min-width:0) 1%', reason: 'invalid-size'}
+				],
+				px: null, breakpoints: []
+			}}
+		]
+	},
+	{
+		groupName: "Parse without evaluating",
+		method: "parse",
+		testArray: [
+			{sizes: '',                          expect: [], desc: "empty string"},
+			{sizes: '50vw', expect: [
+				{type: 'source-size', index: 0, media: '', condition: null, start: 0, end: 4,
+				 size: {type: 'length', text: '50vw', value: 50, unit: 'vw', start: 0, end: 4}}
+			]},
+			{sizes: '(min-width: 5px) calc(1px), 1%', expect: [
+				{type: 'source-size', index: 0, media: '(min-width: 5px)', start: 0, end: 26,
+				 condition: {type: 'feature', syntax: 'plain', name: 'min-width', value: '5px',
+				             start: 0, end: 16},
+				 size: {type: 'calc', text: 'calc(1px)', start: 17, end: 26, calculation: {
+					type: 'math-function', name: 'calc', start: 17, end: 26,
+					arguments: [ {type: 'length', value: 1, unit: 'px', start: 22, end: 25} ]
+				 }}},
+				{type: 'source-size', index: 1, media: '', condition: null, start: 28, end: 30,
+				 size: {type: 'invalid', text: '1%', start: 28, end: 30}}
+			]},
+			{sizes: 'not ((COLOR) and (min-width:0)) 1px', expect: [
+				{type: 'source-size', index: 0, media: 'not ((COLOR) and (min-width:0))', start: 0, end: 35,
+				 condition: {type: 'not', start: 0, end: 31, condition: {type: 'and', start: 5, end: 30,
+				  conditions: [
+					{type: 'feature', syntax: 'boolean', name: 'color', start: 5, end: 12},
+					{type: 'feature', syntax: 'plain', name: 'min-width', value: '0', start: 17, end: 30}
+				 ]}},
+				 size: {type: 'length', text: '1px', value: 1, unit: 'px', start: 32, end: 35}}
+			]},
+			{sizes: '(!) or foo(bar) 1px', expect: [
+				{type: 'source-size', index: 0, media: '(!) or foo(bar)', start: 0, end: 19,
+				 condition: {type: 'or', start: 0, end: 15, conditions: [
+					{type: 'general-enclosed', text: '(!)', start: 0, end: 3},
+					{type: 'general-enclosed', text: 'foo(bar)', start: 7, end: 15}
+				 ]},
+				 size: {type: 'length', text: '1px', value: 1, unit: 'px', start: 16, end: 19}}
+			]},
+			{sizes: '(400px <= width < 50em) 1px', desc: "range", expect: [
+				{type: 'source-size', index: 0, media: '(400px <= width < 50em)', start: 0, end: 27,
+				 condition: {type: 'feature', syntax: 'range', name: 'width', start: 0, end: 23,
+				             comparisons: [{operator: '>=', value: '400px'}, {operator: '<', value: '50em'}]},
+				 size: {type: 'length', text: '1px', value: 1, unit: 'px', start: 24, end: 27}}
+			]},
+			{sizes: '(a) and (b) or (c) 1px', desc: "mixed and/or is invalid", expect: [
+				{type: 'source-size', index: 0, media: '(a) and (b) or (c)', start: 0, end: 22,
+				 condition: {type: 'invalid', text: '(a) and (b) or (c)', start: 0, end: 18},
+				 size: {type: 'length', text: '1px', value: 1, unit: 'px', start: 19, end: 22}}
+			]},
+			{sizes: '(]) or x("a\n) 1px', desc: "unmatched tokens are not general-enclosed", expect: [
+				{type: 'source-size', index: 0, media: '(]) or x("a )', start: 0, end: 17,
+				 condition: {type: 'invalid', text: '(]) or x("a )', start: 0, end: 13},
+				 size: {type: 'length', text: '1px', value: 1, unit: 'px', start: 14, end: 17}}
+			]},
+			{sizes: '(min-width: -1px) or (Foo) 1px', desc: "invalid features", expect: [
+				{type: 'source-size', index: 0, media: '(min-width: -1px) or (Foo)', start: 0, end: 30,
+				 condition: {type: 'or', start: 0, end: 26, conditions: [
+					{type: 'feature', syntax: 'plain', name: 'min-width', value: '-1px', start: 0, end: 17,
+					 message: 'invalid value for min-width: -1px (expected a non-negative length)'},
+					{type: 'feature', syntax: 'boolean', name: 'foo', start: 21, end: 26,
+					 message: 'unknown media feature foo'}
+				 ]},
+				 size: {type: 'length', text: '1px', value: 1, unit: 'px', start: 27, end: 30}}
+			]},
+			{sizes: '(Orientation > portrait) 1px', expect: [
+				{type: 'source-size', index: 0, media: '(Orientation > portrait)', start: 0, end: 28,
+				 condition: {type: 'feature', syntax: 'range', name: 'orientation', start: 0, end: 24,
+				             comparisons: [{operator: '>', value: 'portrait'}],
+				             message: 'orientation is not a range feature, so it takes no range syntax'},
+				 size: {type: 'length', text: '1px', value: 1, unit: 'px', start: 25, end: 28}}
+			]},
+			{sizes: 'calc(2 * (1em - 1px))', expect: [
+				{type: 'source-size', index: 0, media: '', condition: null, start: 0, end: 21,
+				 size: {type: 'calc', text: 'calc(2 * (1em - 1px))', start: 0, end: 21, calculation: {
+					type: 'math-function', name: 'calc', start: 0, end: 21, arguments: [ {
+						type: 'operation', operator: '*', start: 5, end: 20,
+						left: {type: 'number', value: 2, start: 5, end: 6},
+						right: {type: 'operation', operator: '-', start: 10, end: 19,
+						        left: {type: 'length', value: 1, unit: 'em', start: 10, end: 13},
+						        right: {type: 'length', value: 1, unit: 'px', start: 16, end: 19}}
+					} ]
+				 }}}
+			]},
+			{sizes: 'min(1px, 1em)', expect: [
+				{type: 'source-size', index: 0, media: '', condition: null, start: 0, end: 13,
+				 size: {type: 'calc', text: 'min(1px, 1em)', start: 0, end: 13, calculation: {
+					type: 'math-function', name: 'min', start: 0, end: 13, arguments: [
+						{type: 'length', value: 1, unit: 'px', start: 4, end: 7},
+						{type: 'length', value: 1, unit: 'em', start: 9, end: 12}
+					]
+				 }}}
+			]},
+			{sizes: 'calc(1px * 2px)', expect: [
+				{type: 'source-size', index: 0, media: '', condition: null, start: 0, end: 15,
+				 size: {type: 'invalid', text: 'calc(1px * 2px)', start: 0, end: 15,
+				        message: 'calc(1px * 2px) is a length^2, not a length'}}
+			]},
+			{sizes: 'Auto', expect: [
+				{type: 'source-size', index: 0, media: '', condition: null, start: 0, end: 4,
+				 size: {type: 'auto', text: 'Auto', start: 0, end: 4, allowsAutoSizes: true}}
+			]},
+			{sizes: 'auto , 50vw', desc: "auto that doesn't allow auto-sizes", expect: [
+				{type: 'source-size', index: 0, media: '', condition: null, start: 0, end: 4,
+				 size: {type: 'auto', text: 'auto', start: 0, end: 4, allowsAutoSizes: false}},
+				{type: 'source-size', index: 1, media: '', condition: null, start: 7, end: 11,
+				 size: {type: 'length', text: '50vw', value: 50, unit: 'vw', start: 7, end: 11}}
+			]},
+			{sizes: '(--Tablet) 1px', desc: "custom media", expect: [
+				{type: 'source-size', index: 0, media: '(--Tablet)', start: 0, end: 14,
+				 condition: {type: 'custom-media', name: '--Tablet', start: 0, end: 10},
+				 size: {type: 'length', text: '1px', value: 1, unit: 'px', start: 11, end: 14}}
+			]},
+			{sizes: ' , /**/ (color)  1PX /**/', desc: "offsets skip comments and whitespace", expect: [
+				{type: 'source-size', index: 1, media: '(color)', start: 8, end: 20,
+				 condition: {type: 'feature', syntax: 'boolean', name: 'color', start: 8, end: 15},
+				 size: {type: 'length', text: '1PX', value: 1, unit: 'px', start: 17, end: 20}}
+			]}
+		]
+	},
+	{
+		groupName: "Breakpoints",
+		method: "breakpoints",
+		testArray: [
+			{sizes: '100vw',                       expect: []},
+			{sizes: '(min-width: 40EM) 50vw, (MAX-WIDTH: 20em) 1px, (width: 600px) 2px', expect: [
+				{feature: 'width', op: '>=', value: '40em', px: 640},
+				{feature: 'width', op: '<=', value: '20em', px: 320},
+				{feature: 'width', op: '=', value: '600px', px: 600}
+			]},
+			{sizes: '(400px <= width < 50vw) and (not (max-height: 30em)) 1px', expect: [
+				{feature: 'width', op: '>=', value: '400px', px: 400},
+				{feature: 'width', op: '<', value: '50vw', px: 512},
+				{feature: 'height', op: '<=', value: '30em', px: 480}
+			]},
+			{sizes: '(40em < width) 1px, (width > 40em) or (min-width: 40em) 2px', desc: "once each", expect: [
+				{feature: 'width', op: '>', value: '40em', px: 640},
+				{feature: 'width', op: '>=', value: '40em', px: 640}
+			]},
+			{sizes: '(min-width: -1px) 1px, (orientation: portrait) 2px, (width) 3px, (min-width: 1px) 1%',
+			 desc: "invalid entries and features, and features without lengths", expect: []},
+			{sizes: '(--tablet) 50vw', desc: "custom media", options: {
+				customMedia: {'--tablet': '(min-width: 48em)'}
+			}, expect: [
+				{feature: 'width', op: '>=', value: '48em', px: 768}
+			]},
+			{sizes: '(min-width: 40em) 50vw', desc: "root font size", options: {
+				environment: {rootFontSize: 20}
+			}, expect: [
+				{feature: 'width', op: '>=', value: '40em', px: 800}
+			]},
+			{sizes: '(max-width: 50vw) 50vw', desc: "viewport units from the environment", options: {
+				environment: {width: 400}
+			}, expect: [
+				{feature: 'width', op: '<=', value: '50vw', px: 200}
+			]}
+		]
+	},
+	{
+		groupName: "Dead entries",
+		method: "analyze",
+		testArray: [
+			{sizes: '(min-width: 40em) 50vw, (max-width: 20em) 1px, 100vw', expect: []},
+			{sizes: 'auto, (min-width: 40em) 50vw, 100vw', expect: [], desc: "auto without layoutWidth"},
+			{sizes: '(min-width: 40em) 50vw, auto, 100vw', expect: [], desc: "auto that isn't first",
+			 options: {layoutWidth: function() { return 320; }}},
+			{sizes: 'auto, 100vw', options: {layoutWidth: function() { return 320; }}, expect: [
+				{index: 1, entry: '100vw', type: 'unreachable', by: [0],
+				 reason: 'entry 0 is auto, which options.layoutWidth gives the width for, ' +
+				         'so parsing stops there'}
+			]},
+			{sizes: '1px, (min-width:0) 100vw, 2px', expect: [
+				{index: 1, entry: '(min-width:0) 100vw', type: 'unreachable', by: [0],
+				 reason: 'entry 0 has no media condition, so parsing stops there'},
+				{index: 2, entry: '2px', type: 'unreachable', by: [0],
+				 reason: 'entry 0 has no media condition, so parsing stops there'}
+			]},
+			{sizes: '1px,, 2px', desc: "indexes count empty entries", expect: [
+				{index: 2, entry: '2px', type: 'unreachable', by: [0],
+				 reason: 'entry 0 has no media condition, so parsing stops there'}
+			]},
+			{sizes: '(min-width: 40em) and (max-width: 30em) 1px, (width < 0px) 2px, 3px', expect: [
+				{index: 0, entry: '(min-width: 40em) and (max-width: 30em) 1px', type: 'always-false',
+				 reason: 'its media condition is false at every viewport width'},
+				{index: 1, entry: '(width < 0px) 2px', type: 'always-false',
+				 reason: 'its media condition is false at every viewport width'}
+			]},
+			{sizes: 'not (foo) 1px, 2px', expect: [
+				{index: 0, entry: 'not (foo) 1px', type: 'always-false',
+				 reason: 'its media condition is always unknown (unknown media feature foo)'}
+			]},
+			{sizes: '(min-width: 40em) 50vw, (min-width: 50em) 33vw, 100vw', expect: [
+				{index: 1, entry: '(min-width: 50em) 33vw', type: 'shadowed', by: [0],
+				 reason: 'entry 0 always matches first wherever this one would'}
+			]},
+			{sizes: '(max-width: 30em) 1px, (min-width: 30em) 2px, 3px', expect: [
+				{index: 2, entry: '3px', type: 'shadowed', by: [0, 1],
+				 reason: 'entries 0, 1 always match first wherever this one would'}
+			]},
+			{sizes: '(max-width: 30em) 1px, (min-width: 30.01em) 2px, 3px', expect: [],
+			 desc: "a gap between ranges"},
+			{sizes: '(max-width: 30em) 1px, (width > 30em) 2px, 3px', expect: [
+				{index: 2, entry: '3px', type: 'shadowed', by: [0, 1],
+				 reason: 'entries 0, 1 always match first wherever this one would'}
+			]},
+			{sizes: '(hover) or (min-width: 0) 1px, (orientation: portrait) 2px, (hover) 3px', expect: [
+				{index: 1, entry: '(orientation: portrait) 2px', type: 'shadowed', by: [0],
+				 reason: 'entry 0 always matches first wherever this one would'},
+				{index: 2, entry: '(hover) 3px', type: 'shadowed', by: [0],
+				 reason: 'entry 0 always matches first wherever this one would'}
+			]},
+			{sizes: '(orientation: portrait) 1px, (orientation: portrait) 2px', expect: [],
+			 desc: "only width is analyzed"},
+			{sizes: '(max-width: 50vw) 1px, 2px', expect: [], desc: "viewport units are not analyzed"},
+			{sizes: '1%, (--narrow) 1px, (max-width: 20em) 2px', expect: [
+				{index: 2, entry: '(max-width: 20em) 2px', type: 'shadowed', by: [1],
+				 reason: 'entry 1 always matches first wherever this one would'}
+			], options: {customMedia: {'--narrow': '(max-width: 30em)'}}}
+		]
+	},
+	{
+		groupName: "Viewport width intervals",
+		method: "intervals",
+		testArray: [
+			{sizes: '',                            expect: {intervals: [
+				{from: 0, to: Infinity, fromClosed: true, toClosed: false, size: '100vw', index: -1}
+			], inexpressible: []}},
+			{sizes: '(min-width: calc(20em + 1px)) 1px, (min-width: calc(50vw)) 2px', expect: {
+				intervals: [
+					{from: 0, to: 321, fromClosed: true, toClosed: false, size: null, index: null},
+					{from: 321, to: Infinity, fromClosed: true, toClosed: false, size: '1px', index: 0}
+				],
+				inexpressible: [{index: 1, entry: '(min-width: calc(50vw)) 2px',
+				                 reason: '(min-width: calc(50vw)) can\'t be read as a range of viewport widths'}]
+			}},
+			{sizes: 'auto, (min-width: 40em) 50vw, 100vw', expect: {intervals: [
+				{from: 0, to: 640, fromClosed: true, toClosed: false, size: '100vw', index: 2},
+				{from: 640, to: Infinity, fromClosed: true, toClosed: false, size: '50vw', index: 1}
+			], inexpressible: []}},
+			{sizes: 'auto, 50vw', options: {layoutWidth: function() { return 320; }}, expect: {intervals: [
+				{from: 0, to: Infinity, fromClosed: true, toClosed: false, size: 'auto', index: 0}
+			], inexpressible: []}},
+			{sizes: 'auto , 50vw', options: {layoutWidth: function() { return 320; }}, expect: {intervals: [
+				{from: 0, to: Infinity, fromClosed: true, toClosed: false, size: '50vw', index: 1}
+			], inexpressible: []}, desc: "auto that doesn't allow auto-sizes"},
+			{sizes: parseSizes.parse('auto , 50vw'), options: {layoutWidth: function() { return 320; }},
+			 expect: {intervals: [
+				{from: 0, to: Infinity, fromClosed: true, toClosed: false, size: '50vw', index: 1}
+			], inexpressible: []}, desc: "a parsed list gives the same as its string"},
+			{sizes: parseSizes.parse('auto, 50vw'), options: {layoutWidth: function() { return 320; }},
+			 expect: {intervals: [
+				{from: 0, to: Infinity, fromClosed: true, toClosed: false, size: 'auto', index: 0}
+			], inexpressible: []}, desc: "a parsed list that allows auto-sizes"},
+			{sizes: '(min-width: 1024px) 33vw, (min-width: 40em) 50vw, 100vw', expect: {intervals: [
+				{from: 0, to: 640, fromClosed: true, toClosed: false, size: '100vw', index: 2},
+				{from: 640, to: 1024, fromClosed: true, toClosed: false, size: '50vw', index: 1},
+				{from: 1024, to: Infinity, fromClosed: true, toClosed: false, size: '33vw', index: 0}
+			], inexpressible: []}},
+			{sizes: '(max-width: 30em) 1px, (width > 60em) 3px', expect: {intervals: [
+				{from: 0, to: 480, fromClosed: true, toClosed: true, size: '1px', index: 0},
+				{from: 480, to: 960, fromClosed: false, toClosed: true, size: '100vw', index: -1},
+				{from: 960, to: Infinity, fromClosed: false, toClosed: false, size: '3px', index: 1}
+			], inexpressible: []}},
+			{sizes: '(min-width: 40em) 50vw, 100vw', desc: "root font size", options: {
+				environment: {rootFontSize: 20}
+			}, expect: {intervals: [
+				{from: 0, to: 800, fromClosed: true, toClosed: false, size: '100vw', index: 1},
+				{from: 800, to: Infinity, fromClosed: true, toClosed: false, size: '50vw', index: 0}
+			], inexpressible: []}},
+			{sizes: '(width: 600px) 1px, 2px', expect: {intervals: [
+				{from: 0, to: 600, fromClosed: true, toClosed: false, size: '2px', index: 1},
+				{from: 600, to: 600, fromClosed: true, toClosed: true, size: '1px', index: 0},
+				{from: 600, to: Infinity, fromClosed: false, toClosed: false, size: '2px', index: 1}
+			], inexpressible: []}},
+			{sizes: '(max-width: 30em) 1px, (orientation: portrait) 2px, (min-width: 60em) 3px', expect: {
+				intervals: [
+					{from: 0, to: 480, fromClosed: true, toClosed: true, size: '1px', index: 0},
+					{from: 480, to: Infinity, fromClosed: false, toClosed: false, size: null, index: null}
+				],
+				inexpressible: [
+					{index: 1, entry: '(orientation: portrait) 2px',
+					 reason: '(orientation: portrait) can\'t be read as a range of viewport widths'}
+				]
+			}},
+			{sizes: '(min-width: 0) 1px, (max-width: 50vw) 2px', desc: "never reached", expect: {
+				intervals: [
+					{from: 0, to: Infinity, fromClosed: true, toClosed: false, size: '1px', index: 0}
+				],
+				inexpressible: [
+					{index: 1, entry: '(max-width: 50vw) 2px',
+					 reason: '(max-width: 50vw) can\'t be read as a range of viewport widths'}
+				]
+			}}
+		]
+	},
+	{
+		groupName: "Viewport regions",
+		method: "regions",
+		testArray: [
+			{sizes: '50vw', expect: {regions: [
+				{width: {from: 0, to: Infinity}, height: {from: 0, to: Infinity},
+				 aspectRatio: {from: 0, to: Infinity}, size: '50vw', index: 0}
+			], inexpressible: []}},
+			{sizes: 'auto, 50vw', expect: {regions: [
+				{width: {from: 0, to: Infinity}, height: {from: 0, to: Infinity},
+				 aspectRatio: {from: 0, to: Infinity}, size: '50vw', index: 1}
+			], inexpressible: []}},
+			{sizes: 'auto, 50vw', options: {layoutWidth: function() { return 320; }}, expect: {regions: [
+				{width: {from: 0, to: Infinity}, height: {from: 0, to: Infinity},
+				 aspectRatio: {from: 0, to: Infinity}, size: 'auto', index: 0}
+			], inexpressible: []}},
+			{sizes: '(min-width: 40em) 50vw, (min-height: 600px) 80vh, 100vw', expect: {regions: [
+				{width: {from: 0, to: 640}, height: {from: 0, to: 600},
+				 aspectRatio: {from: 0, to: Infinity}, size: '100vw', index: 2},
+				{width: {from: 0, to: 640}, height: {from: 600, to: Infinity},
+				 aspectRatio: {from: 0, to: Infinity}, size: '80vh', index: 1},
+				{width: {from: 640, to: Infinity}, height: {from: 0, to: Infinity},
+				 aspectRatio: {from: 0, to: Infinity}, size: '50vw', index: 0}
+			], inexpressible: []}},
+			{sizes: '(orientation: portrait) and (max-width: 40em) 100vw, (orientation: landscape) 50vw, 33vw',
+			 desc: "orientation", expect: {regions: [
+				{width: {from: 0, to: 640}, height: {from: 0, to: Infinity},
+				 aspectRatio: {from: 0, to: 1}, size: '100vw', index: 0},
+				{width: {from: 0, to: Infinity}, height: {from: 0, to: Infinity},
+				 aspectRatio: {from: 1, to: Infinity}, size: '50vw', index: 1},
+				{width: {from: 640, to: Infinity}, height: {from: 0, to: Infinity},
+				 aspectRatio: {from: 0, to: 1}, size: '33vw', index: 2}
+			], inexpressible: []}},
+			{sizes: '(min-aspect-ratio: 2/1) 50vw, (max-width: 50vh) 1px, (hover) 2px, 3px',
+			 desc: "aspect-ratio, vh and other features", expect: {regions: [
+				{width: {from: 0, to: Infinity}, height: {from: 0, to: Infinity},
+				 aspectRatio: {from: 0, to: 0.5}, size: '1px', index: 1},
+				{width: {from: 0, to: Infinity}, height: {from: 0, to: Infinity},
+				 aspectRatio: {from: 0.5, to: 2}, size: null, index: null},
+				{width: {from: 0, to: Infinity}, height: {from: 0, to: Infinity},
+				 aspectRatio: {from: 2, to: Infinity}, size: '50vw', index: 0}
+			], inexpressible: [
+				{index: 2, entry: '(hover) 2px',
+				 reason: '(hover) can\'t be read as a region of viewport widths and heights'}
+			]}},
+			{sizes: '(max-width: 400px) and (min-height: 800px) 1px, 2px',
+			 desc: "aspect ratios the width and height rule out", expect: {regions: [
+				{width: {from: 0, to: 400}, height: {from: 0, to: 800},
+				 aspectRatio: {from: 0, to: Infinity}, size: '2px', index: 1},
+				{width: {from: 0, to: 400}, height: {from: 800, to: Infinity},
+				 aspectRatio: {from: 0, to: Infinity}, size: '1px', index: 0},
+				{width: {from: 400, to: Infinity}, height: {from: 0, to: Infinity},
+				 aspectRatio: {from: 0, to: Infinity}, size: '2px', index: 1}
+			], inexpressible: []}}
+		]
+	},
+	{
+		groupName: "Size in pixels",
+		method: "toPixels",
+		options: {width: 375, height: 667, rootFontSize: 20, resolution: 3},
+		testArray: [
+			{sizes: '100vw',                     expect: 375},
+			{sizes: '320px',                     expect: 320, desc: "what sizes=auto gives"},
+			{sizes: '2.5EM',                     expect: 50},
+			{sizes: '1in',                       expect: 96},
+			{sizes: '0',                         expect: 0},
+			{sizes: 'calc(100vw - 2 * 1.5rem)',  expect: 315},
+			{sizes: 'min(100vw, 1200px)',        expect: 375},
+			{sizes: 'clamp(320px, 50vw, 800px)', expect: 320},
+			{sizes: 'clamp(none, 50vw, 100px)',  expect: 100},
+			{sizes: 'abs(-10px)',                expect: 10},
+			{sizes: 'round(10px, 3px)',          expect: 9},
+			{sizes: 'round(10.5px, 3px)',        expect: 12, desc: "ties round up"},
+			{sizes: 'round(up, 100vw, 1em)',     expect: 380},
+			{sizes: 'round(down, 100vw, 1em)',   expect: 360},
+			{sizes: 'calc(10px + round(to-zero, -10px, 3px))', expect: 1},
+			{sizes: 'mod(-10px, 3px)',           expect: 2},
+			{sizes: 'calc(5px + rem(-10px, 3px))', expect: 4},
+			{sizes: 'hypot(3em, 4em)',           expect: 100},
+			{sizes: 'calc(1px * pow(2, 3) * sign(-1em) + 10px)', expect: 2},
+			{sizes: 'calc(1px * pow(2, 3) * sqrt(4))', expect: 16},
+			{sizes: 'calc(100px * log(8, 2) + 1px * cos(0))', expect: 301},
+			{sizes: 'calc(10px - 1em)',          expect: 0, desc: "negative is clamped"},
+			{sizes: '2ch',                       expect: 24, options: {fontSize: 20, chWidth: 0.6}},
+			{sizes: '50dvh',                     expect: 384, desc: "default environment", options: {}},
+			{sizes: 'auto',                      expect: null},
+			{sizes: 'foo',                       expect: null},
+			{sizes: '1px, 2px',                  expect: null},
+			{sizes: '(min-width: 0) 1px',        expect: null},
+			{sizes: null,                        expect: null, desc: "null"},
+			{sizes: undefined,                   expect: null, desc: "undefined"},
+			{sizes: {},                          expect: null, desc: "an object that isn't a size"},
+			{sizes: {type: 'calc'},              expect: null, desc: "a calc with no calculation"}
+		]
+	},
+	{
+		groupName: "Canonical form",
+		method: "stringify",
+		testArray: [
+			{sizes: '',                            expect: ''},
+			{sizes: ' /**/ 100VW /**/ ',           expect: '100vw'},
+			{sizes: '(MIN-WIDTH:  40EM) 50vw,100vw', expect: '(min-width: 40em) 50vw, 100vw'},
+			{sizes: '(min-width: 40em) 50vw, 100vw', expect: '(min-width: 40em) 50vw, 100vw',
+			 desc: "canonical form is left alone"},
+			{sizes: 'not ((color) and (min-width:0)) 1px', expect: 'not ((color) and (min-width: 0)) 1px'},
+			{sizes: '(aspect-ratio: 16 / 9) calc(1PX + 2EM)', expect: '(aspect-ratio: 16/9) calc(1px + 2em)'},
+			{sizes: '(!) or Foo(Bar) 1px',         expect: '(!) or Foo(Bar) 1px',
+			 desc: "general-enclosed is kept as written"},
+			{sizes: '1%, (a) and (b) or (c) 1px, ,0', expect: '0', desc: "invalid entries are dropped"},
+			{sizes: 'calc( 1PX  +  2px )',          expect: 'calc(1px + 2px)'},
+			{sizes: 'Min( 1PX ,2px )',              expect: 'min(1px, 2px)'},
+			{sizes: '(WIDTH>=40EM) 1px',           expect: '(width >= 40em) 1px'},
+			{sizes: '(40em<width) 1px',            expect: '(width > 40em) 1px'},
+			{sizes: '(800px > width >= 40em) 1px', expect: '(800px > width >= 40em) 1px'},
+			{sizes: 'not ( --Tablet ) 1px',        expect: 'not (--Tablet) 1px'}
+		]
+	},
+	{
+		groupName: "Tokenizer",
+		method: "tokenize",
+		testArray: [
+			{sizes: '',                            expect: []},
+			{sizes: '1/* */px', expect: [
+				{type: 'number', value: 1, numberType: 'integer', repr: '1', start: 0, end: 1},
+				{type: 'ident', value: 'px', repr: 'px', start: 6, end: 8}
+			]},
+			{sizes: '+.5E1em 10%', expect: [
+				{type: 'dimension', value: 5, numberType: 'number', unit: 'em', repr: '+.5E1em', start: 0, end: 7},
+				{type: 'whitespace', repr: ' ', start: 7, end: 8},
+				{type: 'percentage', value: 10, numberType: 'integer', repr: '10%', start: 8, end: 11}
+			]},
+			{sizes: 'calc(', expect: [
+				{type: 'function', value: 'calc', repr: 'calc(', start: 0, end: 5}
+			]},
+			{sizes: '\\31 px', desc: "escaped ident", expect: [
+				{type: 'ident', value: '1px', repr: '\\31 px', start: 0, end: 6}
+			]},
+			{sizes: '"a,b" \'c\nd', desc: "string and bad-string", expect: [
+				{type: 'string', value: 'a,b', repr: '"a,b"', start: 0, end: 5},
+				{type: 'whitespace', repr: ' ', start: 5, end: 6},
+				{type: 'bad-string', repr: '\'c', start: 6, end: 8},
+				{type: 'whitespace', repr: '\n', start: 8, end: 9},
+				{type: 'ident', value: 'd', repr: 'd', start: 9, end: 10}
+			]},
+			{sizes: 'url( a.png ) url(a b) #x -', expect: [
+				{type: 'url', value: 'a.png', repr: 'url( a.png )', start: 0, end: 12},
+				{type: 'whitespace', repr: ' ', start: 12, end: 13},
+				{type: 'bad-url', repr: 'url(a b)', start: 13, end: 21},
+				{type: 'whitespace', repr: ' ', start: 21, end: 22},
+				{type: 'hash', value: 'x', id: true, repr: '#x', start: 22, end: 24},
+				{type: 'whitespace', repr: ' ', start: 24, end: 25},
+				{type: 'delim', value: '-', repr: '-', start: 25, end: 26}
+			]}
 		]
 	}
 ];
\ No newline at end of file